@@ -8,6 +8,7 @@ var outputDirectory = path.resolve(`.`, `${directoryName}`)
 var replace = require('gulp-replace');
 var rename = require("gulp-rename");
 const fs = require('fs')
+const crypto = require('crypto');
 const packageConfig = JSON.parse(fs.readFileSync(path.resolve(".", "package.json"), "utf8"));
 
 var exec = require('child_process').exec;
@@ -20,6 +21,34 @@ function copy() {
 
 }
 
+function listFiles(directory) {
+  return fs.readdirSync(directory).reduce((files, name) => {
+    let file = path.join(directory, name);
+    return files.concat(fs.statSync(file).isDirectory() ? listFiles(file) : [file]);
+  }, []);
+}
+
+// Fills in src/service-worker.js with the app page and every file Lasso wrote
+// to dist/static. The version is a hash of those files, so publishing a new
+// build makes installed apps fetch it in the background.
+function writeServiceWorker(done) {
+  let distDirectory = path.resolve('.', 'dist');
+  let staticFiles = listFiles(path.resolve(distDirectory, 'static'));
+  let hash = crypto.createHash('md5');
+  staticFiles.forEach((file) => hash.update(fs.readFileSync(file)));
+  hash.update(fs.readFileSync(path.resolve(distDirectory, 'mobile', 'index.html')));
+
+  let precache = ['mobile/'].concat(staticFiles.map((file) => path.relative(distDirectory, file).split(path.sep).join('/')));
+  let worker = fs.readFileSync(path.resolve('.', 'src', 'service-worker.js'), 'utf8')
+    .replace('__VERSION__', hash.digest('hex').substr(0, 8))
+    .replace('__INDEX_DIR__', Datasets.INDEX_DIR)
+    .replace('__CACHE_PREFIX__', Offline.CACHE_PREFIX)
+    .replace('[/* PRECACHE */]', JSON.stringify(precache, null, 2));
+
+  fs.writeFileSync(path.resolve(distDirectory, 'service-worker.js'), worker);
+  done();
+}
+
 function makeAndroidReady() {
   return gulp.src([path.resolve(`.`, `dist`, 'mobile', `index.html`)])
     .pipe(replace(`${packageConfig.baseurl || ""}/static`, 'static'))
@@ -59,6 +88,52 @@ function zipDistribution() {
 
 }
 var del = require('del');
+const csv = require('csvtojson');
+const Record = require('./src/routes/mobile/lib/record');
+const Datasets = require('./src/routes/mobile/lib/datasets');
+const Offline = require('./src/routes/mobile/lib/offline');
+const directories = [
+  require('./src/routes/mobile/lib/geo'),
+  require('./src/routes/mobile/lib/facilities'),
+  require('./src/routes/mobile/lib/testing-centres'),
+  require('./src/routes/mobile/lib/contacts'),
+  require('./src/routes/mobile/lib/containment')
+];
+
+// Checks every dataset in data/datasets.json against the record schema and
+// for duplicate pincodes, failing with one line per bad row (line numbers
+// count the header).
+async function validateData() {
+  let dataDirectory = path.resolve('.', 'data');
+  let problems = [];
+
+  for (let file of require('./data/datasets.json').datasets.map((dataset) => dataset.file)) {
+    let rows = await csv().fromFile(path.resolve(dataDirectory, file));
+    let seen = {};
+
+    rows.forEach((row, index) => {
+      let line = index + 2;
+      let { errors } = Record.fromRow(row);
+      let key = `${row.pincode}|${row.date || ''}`;
+
+      errors.forEach((error) => problems.push(`${file}:${line} ${error}`));
+      seen[key] ? problems.push(`${file}:${line} duplicate pincode ${row.pincode}${row.date ? ` on ${row.date}` : ''}, first on line ${seen[key]}`) : (seen[key] = line);
+    });
+  }
+
+  for (let directory of directories) {
+    let rows = await csv().fromFile(path.resolve(dataDirectory, directory.FILE));
+    rows.forEach((row, index) => {
+      directory.fromRow(row).errors.forEach((error) => problems.push(`${directory.FILE}:${index + 2} ${error}`));
+    });
+  }
+
+  if (problems.length) {
+    problems.forEach((problem) => console.error(problem));
+    throw new Error(`${problems.length} problem(s) found in data files`);
+  }
+  console.log('data files are valid');
+}
 
 function cleanDist() {
   return del([
@@ -75,14 +150,15 @@ function cleanDocs() {
 }
 
 exports.copy = copy;
+exports.validate = validateData;
 
 
 
 
-var build = gulp.series(cleanDist, cleanDocs, buildShellAndroid, makeAndroidReady, cleanDist, buildShell, copy);
-var buildCordova = gulp.series(cleanDist, cleanDocs, buildShellCordova, copy, makeCordovaReady);
+var build = gulp.series(validateData, cleanDist, cleanDocs, buildShellAndroid, makeAndroidReady, cleanDist, buildShell, writeServiceWorker, copy);
+var buildCordova = gulp.series(validateData, cleanDist, cleanDocs, buildShellCordova, copy, makeCordovaReady);
 
-var buildMobile = gulp.series(cleanDist, cleanDocs, buildShellAndroid, makeAndroidReady, copy, cleanDist, buildShell, copy, zipDistribution);
+var buildMobile = gulp.series(validateData, cleanDist, cleanDocs, buildShellAndroid, makeAndroidReady, copy, cleanDist, buildShell, writeServiceWorker, copy, zipDistribution);
 
 function buildShellAndroid(done) {
   let isWindows = process.platform === "win32";
@@ -120,5 +196,6 @@ gulp.task('build', build);
 gulp.task('default', build);
 gulp.task('mobile', buildMobile);
 gulp.task('cordova', buildCordova);
+gulp.task('validate', validateData);
 
 // gulp.task('watch', );
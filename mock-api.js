@@ -0,0 +1,55 @@
+const fs = require("fs");
+const path = require("path");
+const csv = require("csvtojson");
+const manifest = require("./data/datasets.json");
+const Record = require("./src/routes/mobile/lib/record");
+const Aggregate = require("./src/routes/mobile/lib/aggregate");
+
+// A stand-in for a partner's JSON API, serving the rows of data/*.csv in the
+// shape the "json-api" data source expects. server.js adds these routes to
+// the dev server.
+
+function send(res, status, body) {
+  res.statusCode = status;
+  res.setHeader("Content-Type", "application/json; charset=utf-8");
+  res.end(JSON.stringify(body));
+}
+
+// Calls `respond(rows)` with the CSV rows of the dataset named in the route.
+function withRows(input, res, respond) {
+  let dataset = manifest.datasets.find((entry) => entry.id === input.params.id);
+  if (!dataset || !fs.existsSync(path.resolve(__dirname, "data", dataset.file))) {
+    return send(res, 404, { error: `Unknown dataset: ${input.params.id}` });
+  }
+
+  csv().fromFile(path.resolve(__dirname, "data", dataset.file))
+    .then(respond)
+    .catch((err) => send(res, 500, { error: err.message }));
+}
+
+module.exports = [
+  {
+    path: "/api/datasets",
+    handler(input, res) {
+      send(res, 200, manifest.datasets);
+    }
+  },
+  {
+    path: "/api/datasets/:id/records",
+    handler(input, res) {
+      withRows(input, res, (rows) => send(res, 200, rows));
+    }
+  },
+  {
+    path: "/api/datasets/:id/pincodes/:pincode",
+    handler(input, res) {
+      withRows(input, res, (rows) => send(res, 200, rows.filter((row) => row.pincode === input.params.pincode)));
+    }
+  },
+  {
+    path: "/api/datasets/:id/summary",
+    handler(input, res) {
+      withRows(input, res, (rows) => send(res, 200, Aggregate.overview(Record.fromRows(rows).records)));
+    }
+  }
+];
@@ -0,0 +1,46 @@
+const { promisify } = require("util");
+const fs = require("fs");
+const path = require("path");
+const csv = require("csvtojson");
+const Record = require("../src/routes/mobile/lib/record");
+const Datasets = require("../src/routes/mobile/lib/datasets");
+const Aggregate = require("../src/routes/mobile/lib/aggregate");
+
+const readFileAsync = promisify(fs.readFile);
+const writeFileAsync = promisify(fs.writeFile);
+
+const DATA_DIR = path.resolve(__dirname, "..", "data");
+
+function shardsOf(records) {
+  let shards = {};
+  for (let record of records) {
+    let prefix = Datasets.shardOf(record.pincode);
+    (shards[prefix] = shards[prefix] || []).push(record);
+  }
+  return shards;
+}
+
+async function writeDataset(dataset, indexDir) {
+  let file = path.resolve(DATA_DIR, dataset.file);
+  let rows = await csv().fromString(String(await readFileAsync(file)));
+  let { records, invalid } = Record.fromRows(rows);
+  invalid.forEach((entry) => console.warn(`${dataset.file} row ${entry.row}: ${entry.errors.join(", ")}`));
+
+  let outDir = path.resolve(indexDir, dataset.id);
+  !fs.existsSync(outDir) && fs.mkdirSync(outDir, { recursive: true });
+
+  let shards = shardsOf(records);
+  await Promise.all(Object.keys(shards).map((prefix) => writeFileAsync(path.resolve(outDir, `${prefix}.json`), JSON.stringify(shards[prefix]))));
+  await writeFileAsync(path.resolve(outDir, Datasets.SUMMARY_FILE), JSON.stringify(Aggregate.overview(records)));
+}
+
+// Splits every dataset in data/datasets.json into one JSON file per pincode
+// prefix, written to <staticDir>/<Datasets.INDEX_DIR>/<id>/<prefix>.json, so
+// the browser only downloads the shard holding the pincode it looks up. The
+// dataset's totals go to <id>/<Datasets.SUMMARY_FILE> for the state list.
+function write(staticDir) {
+  let indexDir = path.resolve(staticDir, Datasets.INDEX_DIR);
+  return Promise.all(Datasets.list().map((dataset) => writeDataset(dataset, indexDir)));
+}
+
+exports.write = write;
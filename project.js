@@ -7,9 +7,27 @@ const isGithubPublish = process.env.GITHUB_PUBLISH && (process.env.GITHUB_PUBLIS
 let isCordovaPublish = process.env.CORDOVA_BUILD && (process.env.CORDOVA_BUILD.trim() === 'true');
 const isAndroidPublish = process.env.ANDROID_APP && (process.env.ANDROID_APP.trim() === 'true');
 const project_name = "marko-starter"
+const PincodeIndex = require("./plugins/pincode-index");
+
+// Where the mobile app reads pincode data from: "static" reads the bundled
+// CSVs and their pincode index, "json-api" calls a JSON API at `url`
+// (`node server.js` serves a mock one under /api).
+const dataSource = {
+  adapter: process.env.DATA_SOURCE || "static",
+  url: process.env.DATA_API_URL || "/api"
+};
+
+const staticDir = isGithubPublish || isAndroidPublish || isCordovaPublish ? path.resolve(`dist`, `static`) : path.resolve('.cache', 'static');
 
 module.exports = require("marko-starter").projectConfig({
   name: project_name, // Optional, but added here for demo purposes
+  // Runs for both the build and the dev server, once the output is cleared.
+  beforeStart() {
+    return PincodeIndex.write(staticDir).catch((error) => {
+      console.error('Could not write the pincode index', error);
+      process.exitCode = 1;
+    });
+  },
   lassoConfig: {
     require: {
       transforms: [{
@@ -19,7 +37,7 @@ module.exports = require("marko-starter").projectConfig({
         }
       }]
     },
-    outputDir: isGithubPublish || isAndroidPublish || isCordovaPublish ? path.resolve(`dist`, `static`) : path.resolve('.cache', 'static'),
+    outputDir: staticDir,
     bundlingEnabled: isProduction,
     "bundles": [{
       "name": "framework7",
@@ -41,3 +59,5 @@ module.exports = require("marko-starter").projectConfig({
     ]
   }
 });
+
+module.exports.dataSource = dataSource;
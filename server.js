@@ -1,3 +1,6 @@
 require("./project").server({
-  httpPort: process.env.PORT || 8080 // Optional, but added here for demo purposes
+  httpPort: process.env.PORT || 8080, // Optional, but added here for demo purposes
+  beforeStart(project) {
+    project.addRoutes(require("./mock-api")); // Mock JSON API for the "json-api" data source
+  }
 });
@@ -0,0 +1,32 @@
+const isGithubPublish = process.env.GITHUB_PUBLISH && (process.env.GITHUB_PUBLISH.trim() === 'true');
+const isCordovaPublish = process.env.CORDOVA_BUILD && (process.env.CORDOVA_BUILD.trim() === 'true');
+const isAndroidPublish = process.env.ANDROID_APP && (process.env.ANDROID_APP.trim() === 'true');
+
+module.exports = class {
+  onInput(input) {
+
+    const packageConfig = JSON.parse(require("fs").readFileSync("./package.json", "utf8"));
+    let baseurl = isGithubPublish ? packageConfig.baseurl || "" : "";
+    // Mirrors lasso's urlPrefix in project.js so the browser can build URLs
+    // of files the build writes next to the bundles (datasets, indexes).
+    input.staticUrl = isGithubPublish ? `${baseurl}/static` : (isAndroidPublish ? 'static' : '/static');
+    // The Android and Cordova shells load from file://, where service workers are unavailable.
+    input.serviceWorkerUrl = isAndroidPublish || isCordovaPublish ? "" : `${baseurl}/service-worker.js`;
+
+    // Framework7's stylesheet is picked per language direction before the
+    // page renders; see the script in index.marko.
+    const I18n = require("../../routes/mobile/lib/i18n");
+    input.framework7Css = I18n.stylesheetUrl(input.staticUrl, false);
+    input.rtlBoot = JSON.stringify([
+      I18n.LOCALES.filter((locale) => locale.rtl).map((locale) => locale.code),
+      I18n.STORAGE_KEY,
+      I18n.stylesheetUrl(input.staticUrl, true)
+    ]).slice(1, -1);
+
+    const dataSource = require("../../../project").dataSource;
+    input.dataSource = dataSource.adapter;
+    input.apiUrl = dataSource.url;
+
+  }
+
+}
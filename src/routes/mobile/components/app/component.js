@@ -1,4 +1,11 @@
 let config = require('./routes');
+const Watchlist = require('../../lib/watchlist');
+const I18n = require('../../lib/i18n');
+const Display = require('../../lib/display');
+const Settings = require('../../lib/settings');
+const Dashboard = require('../../lib/dashboard');
+const Offline = require('../../lib/offline');
+const getComponentForEl = require('marko/components').getComponentForEl;
 module.exports = class {
 
   onCreate() {
@@ -6,6 +13,9 @@ module.exports = class {
   }
 
   onMount() {
+    I18n.apply();
+    Display.apply();
+    I18n.locale() !== I18n.SERVER_LOCALE && this.translate();
     this.start()
     this.addBackHandlers();
   }
@@ -16,13 +26,40 @@ module.exports = class {
     })
   }
 
+  // The pages were rendered in English at build time. Each component renders
+  // itself again in the reader's language before Framework7 takes over the
+  // page elements.
+  translate() {
+    let components = [];
+    [].forEach.call(this.el.querySelectorAll('*'), (el) => {
+      let component = getComponentForEl(el);
+      component && component !== this && components.indexOf(component) < 0 && components.push(component);
+    });
+    components.forEach((component) => {
+      component.forceUpdate();
+      component.update();
+    });
+  }
+
+  // Opens the default pincode from the settings, or the login page when it
+  // has no data any more or cannot be loaded.
+  openDefault(router) {
+    let settings = Settings.get();
+    Dashboard.load(settings.dataset, settings.pincode).then((series) => {
+      series.length ? Dashboard.open(settings.dataset, series) : router.navigate({ name: 'login' });
+    }).catch(() => router.navigate({ name: 'login' }));
+  }
+
   start() {
-    var theme = 'auto';
+    let params = Settings.frameworkParams();
+    // A ?theme=ios or ?theme=md link overrides the saved theme.
     if (document.location.search.indexOf('theme=') >= 0) {
-      theme = document.location.search.split('theme=')[1].split('&')[0];
+      params.theme = document.location.search.split('theme=')[1].split('&')[0];
     }
+    Settings.applyDark();
     var app = new Framework7({
-      theme: theme,
+      theme: params.theme,
+      autoDarkTheme: params.autoDarkTheme,
       root: '#app',
 
       name: 'My App',
@@ -36,41 +73,50 @@ module.exports = class {
       routes: config.routes,
 
     });
-    var mainView = app.views.create('.view-main', {
+    app.views.create('.view-main', {
       stackPages: true,
       pushState: true,
       url: "/mobile"
 
     });
     window.app = app;
+    Offline.sync();
     let thisComp = this;
-    const informChild = (pageName, eventHandler) => {
+    const informChild = (pageName, eventHandler, pageData) => {
       let page = thisComp.getComponent(pageName);
-      page && (typeof page[eventHandler] === 'function') && page[eventHandler]();
+      page && (typeof page[eventHandler] === 'function') && page[eventHandler](pageData);
     }
     setTimeout(() => {
 
       let router = app.views.main.router;
 
+      // Users with a default pincode or saved pincodes land on them, unless
+      // a link opened a page.
+      if (!router.currentRoute.name && Settings.get().pincode) {
+        this.openDefault(router);
+      } else if (!router.currentRoute.name && Watchlist.list().length) {
+        router.navigate({ name: 'watchlist' });
+      }
+
       informChild(router.currentRoute.name, 'pageAfterIn');
       informChild(router.currentRoute.name, 'pageBeforeIn');
 
 
       app.on('pageBeforeIn', (page) => {
 
-        informChild(page.name, 'pageBeforeIn');
+        informChild(page.name, 'pageBeforeIn', page);
       })
       app.on('pageAfterIn', (page) => {
-        informChild(page.name, 'pageAfterIn');
+        informChild(page.name, 'pageAfterIn', page);
 
       })
 
       app.on('pageBeforeOut', (page) => {
-        informChild(page.name, 'pageBeforeOut');
+        informChild(page.name, 'pageBeforeOut', page);
 
       })
       app.on('pageAfterOut', (page) => {
-        informChild(page.name, 'pageAfterOut');
+        informChild(page.name, 'pageAfterOut', page);
 
       })
 
@@ -13,6 +13,56 @@ let routes = [
     name: 'login',
     path: '/login',
     pageName: 'login',
+  },
+  {
+    name: 'district',
+    path: '/district',
+    pageName: 'district',
+  },
+  {
+    name: 'browse',
+    path: '/browse',
+    pageName: 'browse',
+  },
+  {
+    name: 'compare',
+    path: '/compare',
+    pageName: 'compare',
+  },
+  {
+    name: 'watchlist',
+    path: '/watchlist',
+    pageName: 'watchlist',
+  },
+  {
+    name: 'facilities',
+    path: '/facilities',
+    pageName: 'facilities',
+  },
+  {
+    name: 'testing',
+    path: '/testing',
+    pageName: 'testing',
+  },
+  {
+    name: 'contacts',
+    path: '/contacts',
+    pageName: 'contacts',
+  },
+  {
+    name: 'containment',
+    path: '/containment',
+    pageName: 'containment',
+  },
+  {
+    name: 'map',
+    path: '/map',
+    pageName: 'map',
+  },
+  {
+    name: 'settings',
+    path: '/settings',
+    pageName: 'settings',
   }
 ];
 
@@ -0,0 +1,20 @@
+const Display = require("../../lib/display");
+
+module.exports = class {
+
+    onCreate() {
+        this.state = {
+            modes: Display.MODES.map((mode) => ({ id: mode.id, label: mode.label, on: false }))
+        }
+    }
+
+    // Which modes are on is only known in the browser.
+    onMount() {
+        this.state.modes = this.state.modes.map((mode) => Object.assign({}, mode, { on: Display.isOn(mode.id) }));
+    }
+
+    toggle(id, event, el) {
+        Display.set(id, el.checked);
+    }
+
+}
@@ -0,0 +1,21 @@
+const I18n = require("../../lib/i18n");
+
+module.exports = class {
+
+    onCreate() {
+        this.state = {
+            locales: I18n.LOCALES,
+            locale: I18n.locale()
+        }
+    }
+
+    // The state was rendered at build time, in English.
+    onMount() {
+        this.state.locale = I18n.locale();
+    }
+
+    select(event, el) {
+        I18n.setLocale(el.value);
+    }
+
+}
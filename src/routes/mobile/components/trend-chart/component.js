@@ -0,0 +1,42 @@
+const I18n = require("../../lib/i18n");
+
+const WIDTH = 300;
+const HEIGHT = 120;
+
+module.exports = class {
+
+    onInput(input) {
+        let series = input.series || [];
+        let max = input.max || Math.max(1, ...series.map((record) => Math.max(...input.lines.map((line) => record[line.key] || 0))));
+        let step = series.length > 1 ? WIDTH / (series.length - 1) : 0;
+        let from = series.length ? series[0].date : "";
+        let to = series.length ? series[series.length - 1].date : "";
+
+        this.state = {
+            width: WIDTH,
+            height: HEIGHT,
+            max: max,
+            from: from,
+            to: to,
+            // Read out in place of the plot: where each line starts and ends.
+            description: I18n.t("chart.describe", {
+                title: input.title,
+                from: from,
+                to: to,
+                lines: input.lines.map((line) => I18n.t("chart.line", {
+                    label: line.label,
+                    start: I18n.formatNumber(series.length ? series[0][line.key] || 0 : 0),
+                    end: I18n.formatNumber(series.length ? series[series.length - 1][line.key] || 0 : 0)
+                })).join("; ")
+            }),
+            lines: input.lines.map((line) => ({
+                label: line.label,
+                color: line.color,
+                points: series
+                    .map((record, i) => `${(i * step).toFixed(1)},${(HEIGHT - (record[line.key] || 0) / max * HEIGHT).toFixed(1)}`)
+                    .join(" ")
+            }))
+        }
+    }
+
+}
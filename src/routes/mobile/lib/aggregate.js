@@ -0,0 +1,61 @@
+// Roll-ups of pincode records for areas that span several pincodes.
+
+// One record per pincode: the latest dated row.
+function latestByPincode(records) {
+  let latest = {};
+  records.forEach((record) => {
+    let current = latest[record.pincode];
+    (!current || (record.date || "") >= (current.date || "")) && (latest[record.pincode] = record);
+  });
+  return Object.keys(latest).map((pincode) => latest[pincode]);
+}
+
+// Average of a load across pincodes, weighted by their confirmed cases so a
+// pincode with most of the cases counts the most. Falls back to a plain
+// average when there are no cases at all.
+function weightedLoad(records, key) {
+  let weights = records.map((record) => record.confirmed);
+  let total = weights.reduce((sum, weight) => sum + weight, 0);
+  if (!total) {
+    weights = records.map(() => 1);
+    total = records.length;
+  }
+  return total ? Math.round(records.reduce((sum, record, i) => sum + record[key] * weights[i], 0) / total) : 0;
+}
+
+// Totals for the latest row of each pincode in `records`.
+function summarize(records) {
+  let pincodes = latestByPincode(records).sort((a, b) => a.pincode.localeCompare(b.pincode));
+  let sum = (key) => pincodes.reduce((total, record) => total + record[key], 0);
+
+  return {
+    confirmed: sum("confirmed"),
+    deaths: sum("deaths"),
+    recovered: sum("recovered"),
+    medical_load: weightedLoad(pincodes, "medical_load"),
+    civil_load: weightedLoad(pincodes, "civil_load"),
+    pincodes: pincodes
+  };
+}
+
+// Totals small enough to ship for a whole dataset: `summarize` with the
+// pincodes listed by number only.
+function overview(records) {
+  let summary = summarize(records);
+  return Object.assign(summary, { pincodes: summary.pincodes.map((record) => record.pincode) });
+}
+
+// Summaries of `records` grouped by the value of `key` (e.g. "place"), as
+// [{ name, summary }] sorted by name.
+function groupBy(records, key) {
+  let groups = {};
+  records.forEach((record) => (groups[record[key]] = groups[record[key]] || []).push(record));
+  return Object.keys(groups)
+    .sort((a, b) => a.localeCompare(b))
+    .map((name) => ({ name: name, summary: summarize(groups[name]) }));
+}
+
+exports.latestByPincode = latestByPincode;
+exports.groupBy = groupBy;
+exports.summarize = summarize;
+exports.overview = overview;
@@ -0,0 +1,89 @@
+const Watchlist = require("./watchlist");
+const I18n = require("./i18n");
+
+// Alerts when a watched pincode's load rises above the threshold the user
+// set for it. An alert fires once when the load crosses the threshold and
+// again only after it has dropped back below.
+
+const STORAGE_KEY = "covid-19-india:alerts";
+const LOADS = {
+  medical_load: "metric.medicalLoad",
+  civil_load: "metric.civilLoad"
+};
+
+// Compares `record` with `thresholds` ({ medical_load: 80, ... }). `above`
+// says which loads were already above their threshold at the last check.
+// Returns the alerts to raise now and the new `above` to keep for next time.
+function evaluate(thresholds, record, above) {
+  let alerts = [];
+  let now = {};
+
+  Object.keys(LOADS).forEach((key) => {
+    let threshold = thresholds && thresholds[key];
+    if (threshold === null || threshold === undefined || record[key] === null) {
+      return;
+    }
+    now[key] = record[key] > threshold;
+    now[key] && !(above && above[key]) && alerts.push({
+      pincode: record.pincode,
+      key: key,
+      label: LOADS[key],
+      value: record[key],
+      threshold: threshold
+    });
+  });
+
+  return { alerts: alerts, above: now };
+}
+
+function readState() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch (e) {
+    return {};
+  }
+}
+
+function message(alert) {
+  return I18n.t("alerts.message", { label: I18n.t(alert.label), pincode: alert.pincode, value: alert.value, threshold: alert.threshold });
+}
+
+// A system notification when the user allowed them, else an in-app banner.
+function notify(alerts) {
+  alerts.forEach((alert) => {
+    let granted = window.Notification && Notification.permission === "granted";
+    if (granted && navigator.serviceWorker && navigator.serviceWorker.controller) {
+      navigator.serviceWorker.ready.then((registration) => registration.showNotification(I18n.t("alerts.title"), { body: message(alert), tag: `${alert.pincode}-${alert.key}` }));
+    } else if (granted) {
+      new Notification(I18n.t("alerts.title"), { body: message(alert), tag: `${alert.pincode}-${alert.key}` });
+    } else {
+      window.app.notification.create({ title: I18n.t("alerts.title"), text: message(alert), closeButton: true, closeTimeout: 8000 }).open();
+    }
+  });
+}
+
+// Checks freshly loaded data for a pincode against its watchlist thresholds.
+function check(record) {
+  let entry = Watchlist.find(record.pincode);
+  if (!entry) {
+    return [];
+  }
+
+  let state = readState();
+  let result = evaluate(entry.thresholds, record, state[record.pincode]);
+  state[record.pincode] = result.above;
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+
+  result.alerts.length && notify(result.alerts);
+  return result.alerts;
+}
+
+// Asks once for permission to show system notifications.
+function requestPermission() {
+  window.Notification && Notification.permission === "default" && Notification.requestPermission();
+}
+
+exports.LOADS = LOADS;
+exports.evaluate = evaluate;
+exports.check = check;
+exports.requestPermission = requestPermission;
@@ -0,0 +1,62 @@
+// Area outlines for the map, as GeoJSON per dataset. They are bundled into
+// the app script rather than fetched, so the map needs no tile server and
+// works from file:// in the Android build. Each feature names its area with
+// a `pincode` or a `district` property.
+const BOUNDARIES = {
+  delhi: require("../../../../data/boundaries/delhi.json")
+};
+
+function features(datasetId) {
+  let collection = BOUNDARIES[datasetId];
+  return collection ? collection.features.filter((feature) => feature.geometry && feature.properties) : [];
+}
+
+// Outer and inner rings of a Polygon or MultiPolygon, as [[lon, lat]] lists.
+function rings(geometry) {
+  if (geometry.type === "Polygon") {
+    return geometry.coordinates;
+  }
+  if (geometry.type === "MultiPolygon") {
+    return geometry.coordinates.reduce((all, polygon) => all.concat(polygon), []);
+  }
+  return [];
+}
+
+// Fits [lon, lat] points into a `width` wide box, keeping north up and
+// stretching longitude by the cosine of the latitude so shapes keep their
+// proportions. Returns { project([lon, lat]) → [x, y], height }.
+function projection(points, width, padding) {
+  let lons = points.map((point) => point[0]);
+  let lats = points.map((point) => point[1]);
+  let minLon = Math.min(...lons);
+  let maxLat = Math.max(...lats);
+  let stretch = Math.cos((Math.min(...lats) + maxLat) / 2 * Math.PI / 180);
+  let extentX = (Math.max(...lons) - minLon) * stretch;
+  let extentY = maxLat - Math.min(...lats);
+  // A single point still gets a box about 5 km across, centred on it.
+  let spanX = Math.max(extentX, 0.05);
+  let spanY = Math.max(extentY, 0.05);
+  let scale = (width - 2 * padding) / spanX;
+  let left = padding + (spanX - extentX) * scale / 2;
+  let top = padding + (spanY - extentY) * scale / 2;
+
+  return {
+    height: Math.round(spanY * scale + 2 * padding),
+    project: (point) => [
+      Math.round(((point[0] - minLon) * stretch * scale + left) * 10) / 10,
+      Math.round(((maxLat - point[1]) * scale + top) * 10) / 10
+    ]
+  };
+}
+
+// SVG path data for a feature's geometry.
+function pathOf(geometry, project) {
+  return rings(geometry)
+    .map((ring) => `M${ring.map((point) => project(point).join(",")).join("L")}Z`)
+    .join("");
+}
+
+exports.features = features;
+exports.rings = rings;
+exports.projection = projection;
+exports.pathOf = pathOf;
@@ -0,0 +1,82 @@
+const Directory = require("./directory");
+const Search = require("./search");
+const I18n = require("./i18n");
+
+// Helplines, ambulance numbers, control rooms and mental-health lines from
+// data/contacts.csv. Rows without a district cover the whole state, and rows
+// without a state the whole country.
+
+const SCHEMA = [
+  { column: "state", key: "state", type: "text", required: false },
+  { column: "district", key: "district", type: "text", required: false },
+  { column: "category", key: "category", type: "text", required: true },
+  { column: "name", key: "name", type: "text", required: true },
+  { column: "phone", key: "phone", type: "phone", required: true },
+  { column: "hours", key: "hours", type: "text", required: false }
+];
+
+// In the order they are listed.
+const CATEGORIES = [
+  { id: "emergency", name: "contacts.emergency" },
+  { id: "ambulance", name: "contacts.ambulance" },
+  { id: "helpline", name: "contacts.helpline" },
+  { id: "control-room", name: "contacts.controlRoom" },
+  { id: "mental-health", name: "contacts.mentalHealth" }
+];
+
+const contacts = Directory.directory({
+  dir: "contacts",
+  file: "contacts.csv",
+  schema: SCHEMA,
+  check: (contact) =>
+    CATEGORIES.some((category) => category.id === contact.category)
+      ? []
+      : [`category "${contact.category}" must be one of ${CATEGORIES.map((category) => category.id).join(", ")}`]
+});
+
+function same(a, b) {
+  return a.toLowerCase() === b.toLowerCase();
+}
+
+// Resolves to the contacts covering a record's district, district-level
+// ones first.
+function forDistrict(record) {
+  return contacts.load().then((all) => {
+    let matches = all.filter((contact) =>
+      contact.district
+        ? same(contact.district, record.district_name) && (!contact.state || same(contact.state, record.state))
+        : !contact.state || same(contact.state, record.state)
+    );
+    let rank = (contact) => (contact.district ? 0 : contact.state ? 1 : 2);
+    return matches.sort((a, b) => rank(a) - rank(b));
+  });
+}
+
+// Contacts whose name, category or district contain `query`, with the same
+// spelling tolerance as the locality search.
+function filter(list, query) {
+  let folded = Search.fold(query);
+  let digits = query.replace(/[^\d+]/g, "");
+  if (!folded) {
+    return list;
+  }
+  return list.filter((contact) => {
+    let category = CATEGORIES.find((entry) => entry.id === contact.category);
+    return Search.fold([contact.name, I18n.t(category.name), contact.district].join(" ")).indexOf(folded) >= 0 || (digits && contact.phone.indexOf(digits) >= 0);
+  });
+}
+
+// Groups a list by category as [{ category, contacts }], skipping empty ones.
+function byCategory(list) {
+  return CATEGORIES
+    .map((category) => ({ category, contacts: list.filter((contact) => contact.category === category.id) }))
+    .filter((group) => group.contacts.length);
+}
+
+exports.SCHEMA = SCHEMA;
+exports.CATEGORIES = CATEGORIES;
+exports.FILE = contacts.FILE;
+exports.fromRow = contacts.fromRow;
+exports.forDistrict = forDistrict;
+exports.filter = filter;
+exports.byCategory = byCategory;
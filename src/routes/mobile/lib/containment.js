@@ -0,0 +1,62 @@
+const Directory = require("./directory");
+
+// Containment zones from data/containment-zones.csv. `restrictions` lists
+// what applies inside the zone, separated by semicolons.
+
+const SCHEMA = [
+  { column: "zone_id", key: "zone_id", type: "text", required: true },
+  { column: "pincode", key: "pincode", type: "pincode", required: true },
+  { column: "boundaries", key: "boundaries", type: "text", required: true },
+  { column: "status", key: "status", type: "text", required: true },
+  { column: "start_date", key: "start_date", type: "date", required: true },
+  { column: "end_date", key: "end_date", type: "date", required: false },
+  { column: "restrictions", key: "restrictions", type: "text", required: false }
+];
+
+const STATUSES = ["active", "lifted"];
+
+const zones = Directory.directory({
+  dir: "containment-zones",
+  file: "containment-zones.csv",
+  schema: SCHEMA,
+  check: (zone) => {
+    let errors = [];
+    STATUSES.indexOf(zone.status) < 0 && errors.push(`status "${zone.status}" must be one of ${STATUSES.join(", ")}`);
+    zone.end_date && zone.end_date < zone.start_date && errors.push(`end_date ${zone.end_date} is before start_date ${zone.start_date}`);
+    return errors;
+  }
+});
+
+function today() {
+  let now = new Date();
+  return new Date(now.getTime() - now.getTimezoneOffset() * 60000).toISOString().substr(0, 10);
+}
+
+// A zone is active from its start date until its end date, unless lifted.
+function isActive(zone, date) {
+  date = date || today();
+  return zone.status === "active" && zone.start_date <= date && (!zone.end_date || zone.end_date >= date);
+}
+
+function restrictionsOf(zone) {
+  return zone.restrictions.split(";").map((restriction) => restriction.trim()).filter((restriction) => restriction);
+}
+
+// Resolves to every zone in `pincode`, active ones first, latest first.
+function inPincode(pincode) {
+  return zones.load().then((all) => all
+    .filter((zone) => zone.pincode == pincode)
+    .sort((a, b) => isActive(b) - isActive(a) || b.start_date.localeCompare(a.start_date)));
+}
+
+function activeIn(pincode) {
+  return inPincode(pincode).then((found) => found.filter((zone) => isActive(zone)));
+}
+
+exports.SCHEMA = SCHEMA;
+exports.FILE = zones.FILE;
+exports.fromRow = zones.fromRow;
+exports.isActive = isActive;
+exports.restrictionsOf = restrictionsOf;
+exports.inPincode = inPincode;
+exports.activeIn = activeIn;
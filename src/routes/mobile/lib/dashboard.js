@@ -0,0 +1,40 @@
+const Datasets = require("./datasets");
+const Series = require("./series");
+const dataSource = require("./data-source");
+
+// Every row of `pincode` in the dataset `datasetId`, in date order. Empty
+// when the dataset or the pincode is unknown.
+function load(datasetId, pincode) {
+  let dataset = Datasets.find(datasetId);
+  return dataset
+    ? dataSource().lookup(dataset, pincode).then((records) => Series.forPincode(records, pincode))
+    : Promise.resolve([]);
+}
+
+// Makes `series` the pincode the home page shows; its latest row is the
+// record on display.
+function show(datasetId, series) {
+  window.app.data.dataset = datasetId;
+  window.app.data.record = Series.latest(series);
+  window.app.data.history = series;
+}
+
+// Shows a pincode on the home page. The pincode goes in the route query, so
+// the URL can be bookmarked or shared.
+function open(datasetId, series) {
+  show(datasetId, series);
+  window.app.views && window.app.views.main.router.navigate({
+    name: "home-page",
+    query: { state: datasetId, pincode: window.app.data.record.pincode }
+  });
+}
+
+// Link that opens the app straight on a pincode's home page.
+function shareUrl(datasetId, pincode) {
+  return `${location.origin}${location.pathname}#!/home-page?state=${encodeURIComponent(datasetId)}&pincode=${encodeURIComponent(pincode)}`;
+}
+
+exports.load = load;
+exports.show = show;
+exports.open = open;
+exports.shareUrl = shareUrl;
@@ -0,0 +1,12 @@
+const adapters = {
+  "static": require("./sources/static"),
+  "json-api": require("./sources/json-api")
+};
+
+// The adapter chosen by `dataSource.adapter` in project.js, rendered onto
+// <html> by mobile-layout. Every adapter offers `load(dataset)` and
+// `lookup(dataset, pincode)`, both resolving to records, and
+// `summary(dataset)`, resolving to the dataset's totals.
+module.exports = function dataSource() {
+  return adapters[document.documentElement.getAttribute("data-source")] || adapters.static;
+};
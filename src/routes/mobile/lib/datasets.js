@@ -0,0 +1,30 @@
+const manifest = require("../../../../data/datasets.json");
+
+// Where plugins/pincode-index writes its shards, and how many leading
+// digits of a pincode pick the shard. Three digits groups a city's pincodes
+// into a handful of small files.
+const INDEX_DIR = "pincode-index";
+const PREFIX_LENGTH = 3;
+// The dataset's totals (lib/aggregate overview), written next to its shards.
+const SUMMARY_FILE = "summary.json";
+
+// Every state/UT the app can serve. Each dataset's CSV is bundled by
+// data/browser.json into csv-files/<id>/, so both files must list the same
+// datasets; the build indexes every one listed here into <INDEX_DIR>/<id>/.
+function list() {
+  return manifest.datasets;
+}
+
+function find(id) {
+  return manifest.datasets.find((dataset) => dataset.id === id);
+}
+
+function shardOf(pincode) {
+  return String(pincode).substr(0, PREFIX_LENGTH);
+}
+
+exports.INDEX_DIR = INDEX_DIR;
+exports.SUMMARY_FILE = SUMMARY_FILE;
+exports.list = list;
+exports.find = find;
+exports.shardOf = shardOf;
@@ -0,0 +1,38 @@
+const Schema = require("./schema");
+const staticUrl = require("./static-url");
+
+// Reference files that ship with the app next to the datasets (facilities,
+// testing centres, ...). Each is one CSV in data/ with its own schema,
+// bundled by data/browser.json into csv-files/<dir>/ and checked by
+// `gulp validate`.
+function directory(options) {
+  let parser = Schema.parser(options.schema, options.check);
+  let loaded = null;
+
+  // Fetches and parses the file once. Invalid rows are logged and left out.
+  function load() {
+    loaded = loaded || fetch(staticUrl(`csv-files/${options.dir}/${options.file}`))
+      .then((response) => response.text())
+      .then((data) => csv().fromString(data))
+      .then((rows) => {
+        let { records, invalid } = parser.fromRows(rows);
+        invalid.forEach((entry) => console.warn(`${options.file} row ${entry.row}: ${entry.errors.join(", ")}`));
+        return records;
+      })
+      .catch((error) => {
+        loaded = null;
+        throw error;
+      });
+    return loaded;
+  }
+
+  return {
+    FILE: options.file,
+    SCHEMA: options.schema,
+    fromRow: parser.fromRow,
+    fromRows: parser.fromRows,
+    load: load
+  };
+}
+
+exports.directory = directory;
@@ -0,0 +1,37 @@
+// Reading aids the user can switch on: a high-contrast palette and larger
+// text. Each is a class on the root element, styled in components/app, and
+// the ones switched on are kept in localStorage as a list of ids.
+
+const STORAGE_KEY = "covid-19-india:display";
+
+const MODES = [
+  { id: "high-contrast", label: "display.highContrast" },
+  { id: "large-text", label: "display.largeText" }
+];
+
+function enabled() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+  } catch (e) {
+    return [];
+  }
+}
+
+function isOn(id) {
+  return enabled().indexOf(id) >= 0;
+}
+
+function apply() {
+  MODES.forEach((mode) => document.documentElement.classList.toggle(mode.id, isOn(mode.id)));
+}
+
+function set(id, on) {
+  let ids = enabled().filter((entry) => entry !== id);
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(on ? ids.concat([id]) : ids));
+  apply();
+}
+
+exports.MODES = MODES;
+exports.isOn = isOn;
+exports.set = set;
+exports.apply = apply;
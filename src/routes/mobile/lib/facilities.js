@@ -0,0 +1,74 @@
+const Directory = require("./directory");
+const Geo = require("./geo");
+
+// Hospitals and care centres with their bed availability, from
+// data/facilities.csv. Facilities without coordinates are placed at their
+// pincode's centroid.
+
+const SCHEMA = [
+  { column: "name", key: "name", type: "text", required: true },
+  { column: "type", key: "type", type: "text", required: true },
+  { column: "address", key: "address", type: "text", required: true },
+  { column: "pincode", key: "pincode", type: "pincode", required: true },
+  { column: "latitude", key: "latitude", type: "number", required: false },
+  { column: "longitude", key: "longitude", type: "number", required: false },
+  { column: "beds_total", key: "beds_total", type: "count", required: true },
+  { column: "beds_free", key: "beds_free", type: "count", required: true },
+  { column: "icu_beds_free", key: "icu_beds_free", type: "count", required: false },
+  { column: "oxygen", key: "oxygen", type: "boolean", required: false },
+  { column: "phone", key: "phone", type: "phone", required: false },
+  { column: "updated", key: "updated", type: "date", required: false }
+];
+
+// Facilities further than this from the pincode are not listed.
+const MAX_DISTANCE_KM = 10;
+
+const facilities = Directory.directory({
+  dir: "facilities",
+  file: "facilities.csv",
+  schema: SCHEMA,
+  check: (facility) =>
+    facility.beds_free > facility.beds_total
+      ? [`beds_free (${facility.beds_free}) is more than beds_total (${facility.beds_total})`]
+      : []
+});
+
+function positionOf(facility, centroids) {
+  if (facility.latitude !== null && facility.longitude !== null) {
+    return facility;
+  }
+  return centroids.find((centroid) => centroid.pincode == facility.pincode);
+}
+
+// Resolves to the facilities in or near `pincode` as { facility, distance },
+// nearest first. `distance` is null when either end has no known position.
+function near(pincode) {
+  return Promise.all([facilities.load(), Geo.centroids()]).then(([all, centroids]) => {
+    let origin = centroids.find((centroid) => centroid.pincode == pincode);
+
+    return all
+      .map((facility) => {
+        let position = positionOf(facility, centroids);
+        let distance = origin && position ? Geo.distanceKm(origin, position) : null;
+        return { facility, distance };
+      })
+      .filter((item) => item.facility.pincode == pincode || (item.distance !== null && item.distance <= MAX_DISTANCE_KM))
+      .sort((a, b) => byDistance(a, b));
+  });
+}
+
+function byDistance(a, b) {
+  return (a.distance === null ? 0 : a.distance) - (b.distance === null ? 0 : b.distance);
+}
+
+function byFreeBeds(a, b) {
+  return b.facility.beds_free - a.facility.beds_free || byDistance(a, b);
+}
+
+exports.SCHEMA = SCHEMA;
+exports.MAX_DISTANCE_KM = MAX_DISTANCE_KM;
+exports.FILE = facilities.FILE;
+exports.fromRow = facilities.fromRow;
+exports.near = near;
+exports.byDistance = byDistance;
+exports.byFreeBeds = byFreeBeds;
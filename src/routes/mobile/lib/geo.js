@@ -0,0 +1,87 @@
+const Directory = require("./directory");
+const Datasets = require("./datasets");
+const I18n = require("./i18n");
+
+// Looks up the pincode nearest to a position using the pincode centroids
+// bundled from data/pincode-centroids.csv, so it needs no network.
+
+const EARTH_RADIUS_KM = 6371;
+
+const SCHEMA = [
+  { column: "pincode", key: "pincode", type: "pincode", required: true },
+  { column: "dataset", key: "dataset", type: "text", required: true },
+  { column: "latitude", key: "latitude", type: "number", required: true },
+  { column: "longitude", key: "longitude", type: "number", required: true }
+];
+
+const centroids = Directory.directory({
+  dir: "centroids",
+  file: "pincode-centroids.csv",
+  schema: SCHEMA,
+  check: (centroid) => [
+    !Datasets.find(centroid.dataset) && `dataset "${centroid.dataset}" is not in data/datasets.json`,
+    Math.abs(centroid.latitude) > 90 && `latitude ${centroid.latitude} is out of range`,
+    Math.abs(centroid.longitude) > 180 && `longitude ${centroid.longitude} is out of range`
+  ].filter((error) => error)
+});
+
+function toRadians(degrees) {
+  return degrees * Math.PI / 180;
+}
+
+// Great-circle distance between two { latitude, longitude } points.
+function distanceKm(a, b) {
+  let dLat = toRadians(b.latitude - a.latitude);
+  let dLon = toRadians(b.longitude - a.longitude);
+  let h = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLon / 2) * Math.sin(dLon / 2);
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+}
+
+// Resolves to every bundled centroid as { pincode, dataset, latitude, longitude }.
+function loadCentroids() {
+  return centroids.load();
+}
+
+// Resolves to the nearest centroid ({ pincode, dataset, latitude, longitude,
+// distance }) or undefined when there are none.
+function nearest(position) {
+  return loadCentroids().then((all) => all.reduce((best, centroid) => {
+    let distance = distanceKm(position, centroid);
+    return !best || distance < best.distance ? Object.assign({ distance }, centroid) : best;
+  }, undefined));
+}
+
+// Resolves to the pincodes whose centroid is within `radiusKm` of
+// `pincode`'s, including `pincode` itself.
+function around(pincode, radiusKm) {
+  return loadCentroids().then((all) => {
+    let origin = all.find((centroid) => centroid.pincode == pincode);
+    return origin
+      ? all.filter((centroid) => distanceKm(origin, centroid) <= radiusKm).map((centroid) => centroid.pincode)
+      : [String(pincode)];
+  });
+}
+
+// Promise wrapper around the Geolocation API.
+function currentPosition() {
+  return new Promise((resolve, reject) => {
+    if (!navigator.geolocation) {
+      return reject(new Error(I18n.t("geo.unavailable")));
+    }
+    navigator.geolocation.getCurrentPosition(
+      (position) => resolve({ latitude: position.coords.latitude, longitude: position.coords.longitude }),
+      reject,
+      { enableHighAccuracy: false, timeout: 15000, maximumAge: 10 * 60 * 1000 }
+    );
+  });
+}
+
+exports.SCHEMA = SCHEMA;
+exports.FILE = centroids.FILE;
+exports.fromRow = centroids.fromRow;
+exports.distanceKm = distanceKm;
+exports.centroids = loadCentroids;
+exports.nearest = nearest;
+exports.around = around;
+exports.currentPosition = currentPosition;
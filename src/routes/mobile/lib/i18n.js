@@ -0,0 +1,118 @@
+// Message catalogs and number formatting for the mobile app. Pages are
+// rendered in English at build time; the app component re-renders them in
+// the reader's language when it starts (see components/app).
+
+const CATALOGS = {
+  en: require("./locales/en.json"),
+  hi: require("./locales/hi.json"),
+  pa: require("./locales/pa.json"),
+  ur: require("./locales/ur.json")
+};
+
+const LOCALES = [
+  { code: "en", name: "English" },
+  { code: "hi", name: "हिन्दी" },
+  { code: "pa", name: "ਪੰਜਾਬੀ" },
+  { code: "ur", name: "اردو", rtl: true }
+];
+
+const STORAGE_KEY = "covid-19-india:locale";
+// What the build renders, and what readers whose browser language we don't
+// have get: most of them read Hindi.
+const SERVER_LOCALE = "en";
+const DEFAULT_LOCALE = "hi";
+
+function find(code) {
+  return LOCALES.find((entry) => entry.code === code);
+}
+
+let current = null;
+
+// The stored choice, else the first supported browser language, else Hindi.
+function locale() {
+  if (typeof window === "undefined") {
+    return SERVER_LOCALE;
+  }
+  if (!current) {
+    let stored = window.localStorage.getItem(STORAGE_KEY);
+    let browser = (navigator.languages || [navigator.language || ""])
+      .map((language) => language.split("-")[0])
+      .find((code) => find(code));
+    current = find(stored) ? stored : browser || DEFAULT_LOCALE;
+  }
+  return current;
+}
+
+// Stores the choice and reloads, so every page renders in it from the start.
+function setLocale(code) {
+  if (!find(code) || code === locale()) {
+    return;
+  }
+  window.localStorage.setItem(STORAGE_KEY, code);
+  location.reload();
+}
+
+function isRtl(code) {
+  return !!find(code || locale()).rtl;
+}
+
+function stylesheetUrl(staticUrl, rtl) {
+  return `${staticUrl}/csv-files/framework7/framework7.bundle${rtl ? ".rtl" : ""}.min.css`;
+}
+
+// Sets lang and dir on <html> and picks Framework7's matching stylesheet.
+// Must run before Framework7 starts, as it reads dir once.
+function apply() {
+  let html = document.documentElement;
+  let rtl = isRtl();
+  let link = document.getElementById("framework7-css");
+  html.setAttribute("lang", locale());
+  html.setAttribute("dir", rtl ? "rtl" : "ltr");
+  link && (link.href = stylesheetUrl(html.getAttribute("data-static-url") || "/static", rtl));
+}
+
+// The message for `key` with `{name}` placeholders filled from `params`.
+// Messages missing from a catalog fall back to English, then to the key.
+function t(key, params) {
+  let message = CATALOGS[locale()][key] || CATALOGS.en[key] || key;
+  return params ? message.replace(/\{(\w+)\}/g, (match, name) => (params[name] === undefined ? match : params[name])) : message;
+}
+
+// Groups digits the Indian way: 12,34,567.
+function groupIndian(value) {
+  let [whole, fraction] = String(Math.abs(value)).split(".");
+  let last = whole.slice(-3);
+  let rest = whole.slice(0, -3).replace(/\B(?=(\d{2})+(?!\d))/g, ",");
+  return `${value < 0 ? "-" : ""}${rest ? `${rest},` : ""}${last}${fraction ? `.${fraction}` : ""}`;
+}
+
+// Latin digits and Indian grouping in every language; Intl.NumberFormat
+// gives neither for ur-IN.
+function formatNumber(value) {
+  if (typeof value !== "number" || !isFinite(value)) {
+    return value;
+  }
+  return groupIndian(Math.round(value * 10) / 10);
+}
+
+// Large numbers in lakh (1,00,000) and crore (1,00,00,000): "12.5 lakh".
+function formatCompact(value) {
+  if (typeof value !== "number" || Math.abs(value) < 100000) {
+    return formatNumber(value);
+  }
+  let crore = Math.abs(value) >= 10000000;
+  let scaled = Math.round(value / (crore ? 10000000 : 100000) * 10) / 10;
+  return t(crore ? "number.crore" : "number.lakh", { value: formatNumber(scaled) });
+}
+
+exports.LOCALES = LOCALES;
+exports.STORAGE_KEY = STORAGE_KEY;
+exports.SERVER_LOCALE = SERVER_LOCALE;
+exports.locale = locale;
+exports.setLocale = setLocale;
+exports.isRtl = isRtl;
+exports.stylesheetUrl = stylesheetUrl;
+exports.apply = apply;
+exports.t = t;
+exports.formatNumber = formatNumber;
+exports.formatCompact = formatCompact;
@@ -0,0 +1,53 @@
+// Epidemiological figures derived from a pincode's record and, when the
+// dataset has dated rows, its history.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Growth is measured over the last week of data, or whatever history exists.
+const GROWTH_WINDOW_DAYS = 7;
+
+function percent(part, whole) {
+  return whole ? Math.round(part / whole * 1000) / 10 : null;
+}
+
+function daysBetween(from, to) {
+  return Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS);
+}
+
+// Average daily growth of confirmed cases (in %) between the latest row and
+// the one GROWTH_WINDOW_DAYS before it, compounded per day. Null without two
+// dated rows or without cases at the start of the window.
+function growth(history) {
+  let dated = history.filter((record) => record.date);
+  if (dated.length < 2) {
+    return null;
+  }
+
+  let latest = dated[dated.length - 1];
+  let start = dated.slice().reverse().find((record) => daysBetween(record.date, latest.date) >= GROWTH_WINDOW_DAYS) || dated[0];
+  let days = daysBetween(start.date, latest.date);
+  if (days < 1 || !start.confirmed) {
+    return null;
+  }
+
+  return (Math.pow(latest.confirmed / start.confirmed, 1 / days) - 1) * 100;
+}
+
+// Days for confirmed cases to double at `growthRate` % a day; null when cases
+// are not growing.
+function doublingTime(growthRate) {
+  return growthRate > 0 ? Math.round(Math.log(2) / Math.log(1 + growthRate / 100) * 10) / 10 : null;
+}
+
+function derive(record, history) {
+  let growthRate = growth(history || [record]);
+
+  return {
+    active: record.confirmed - record.deaths - record.recovered,
+    fatality_rate: percent(record.deaths, record.confirmed),
+    recovery_rate: percent(record.recovered, record.confirmed),
+    growth_rate: growthRate === null ? null : Math.round(growthRate * 10) / 10,
+    doubling_time: growthRate === null ? null : doublingTime(growthRate)
+  };
+}
+
+exports.derive = derive;
@@ -0,0 +1,32 @@
+const Settings = require("./settings");
+
+// Names every cache the service worker opens; gulp copies it into
+// src/service-worker.js.
+const CACHE_PREFIX = "covid-19-india-";
+
+// Deleting the worker leaves its caches behind.
+function removeCaches() {
+  return caches.keys()
+    .then((keys) => Promise.all(keys.filter((key) => key.indexOf(CACHE_PREFIX) === 0).map((key) => caches.delete(key))));
+}
+
+// Registers the service worker that keeps the app usable offline (see
+// src/service-worker.js), or, in data saver mode, removes it and the copy of
+// every dataset it keeps.
+function sync() {
+  let url = document.documentElement.getAttribute("data-service-worker");
+  if (!url || !("serviceWorker" in navigator)) {
+    return Promise.resolve();
+  }
+  if (Settings.get().dataSaver) {
+    return navigator.serviceWorker.getRegistrations()
+      .then((registrations) => Promise.all(registrations.map((registration) => registration.unregister())))
+      .then(() => "caches" in window && removeCaches())
+      .catch((error) => console.warn("Could not remove the offline copy", error));
+  }
+  return navigator.serviceWorker.register(url)
+    .catch((error) => console.warn("Offline mode unavailable", error));
+}
+
+exports.CACHE_PREFIX = CACHE_PREFIX;
+exports.sync = sync;
@@ -0,0 +1,26 @@
+const Schema = require("./schema");
+
+// Columns of a dataset (data/delhi.csv and the other states), keyed by their
+// CSV header.
+const SCHEMA = [
+  { column: "pincode", key: "pincode", type: "pincode", required: true },
+  { column: "date", key: "date", type: "date", required: false },
+  { column: "state", key: "state", type: "text", required: true },
+  { column: "place", key: "place", type: "text", required: false },
+  { column: "district-name", key: "district_name", type: "text", required: true },
+  { column: "confirmed", key: "confirmed", type: "count", required: true },
+  { column: "deaths", key: "deaths", type: "count", required: true },
+  { column: "recovered", key: "recovered", type: "count", required: true },
+  { column: "medical_load", key: "medical_load", type: "percent", required: true },
+  { column: "civil_load", key: "civil_load", type: "percent", required: true }
+];
+
+const parser = Schema.parser(SCHEMA, (record) =>
+  record.recovered + record.deaths > record.confirmed
+    ? [`recovered + deaths (${record.recovered + record.deaths}) is more than confirmed (${record.confirmed})`]
+    : []
+);
+
+exports.SCHEMA = SCHEMA;
+exports.fromRow = parser.fromRow;
+exports.fromRows = parser.fromRows;
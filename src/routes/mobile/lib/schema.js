@@ -0,0 +1,126 @@
+// Typed, validated rows from CSV data. A schema lists the columns a file
+// must or may have; any other column is kept on `extra` so new columns never
+// break the UI.
+
+const DAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+// "Mon-Sat", "Mon Wed Fri" or "daily" as day numbers (0 is Sunday).
+function parseDays(value) {
+  if (value.toLowerCase() === "daily") {
+    return DAYS.map((day, index) => index);
+  }
+
+  let days = [];
+  for (let part of value.toLowerCase().split(/[\s,]+/)) {
+    let [from, to] = part.split("-").map((day) => DAYS.indexOf(day.substr(0, 3)));
+    to = to === undefined ? from : to;
+    if (from < 0 || to < 0) {
+      return null;
+    }
+    for (let day = from; days.indexOf(day) < 0; day = (day + 1) % 7) {
+      days.push(day);
+      if (day === to) {
+        break;
+      }
+    }
+  }
+  return days.sort();
+}
+
+const TYPES = {
+  text(value) {
+    return { value: value };
+  },
+  pincode(value) {
+    return /^\d{6}$/.test(value) ? { value: value } : { error: "must be a 6 digit pincode" };
+  },
+  date(value) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value)) ? { value: value } : { error: "must be a date as YYYY-MM-DD" };
+  },
+  count(value) {
+    let n = Number(value);
+    return Number.isInteger(n) && n >= 0 ? { value: n } : { error: "must be a non-negative whole number" };
+  },
+  percent(value) {
+    let n = Number(value);
+    return isFinite(n) && n >= 0 && n <= 100 ? { value: n } : { error: "must be a number between 0 and 100" };
+  },
+  number(value) {
+    let n = Number(value);
+    return isFinite(n) ? { value: n } : { error: "must be a number" };
+  },
+  boolean(value) {
+    let v = value.toLowerCase();
+    return ["yes", "true", "1"].indexOf(v) >= 0 ? { value: true } : (["no", "false", "0"].indexOf(v) >= 0 ? { value: false } : { error: "must be yes or no" });
+  },
+  pincodes(value) {
+    let pincodes = value.split(/[\s,]+/);
+    return pincodes.every((pincode) => /^\d{6}$/.test(pincode)) ? { value: pincodes } : { error: "must be 6 digit pincodes separated by spaces" };
+  },
+  time(value) {
+    let match = /^(\d{1,2}):(\d{2})$/.exec(value);
+    return match && Number(match[1]) < 24 && Number(match[2]) < 60 ? { value: Number(match[1]) * 60 + Number(match[2]) } : { error: "must be a time as HH:MM" };
+  },
+  days(value) {
+    let days = parseDays(value);
+    return days ? { value: days } : { error: "must be days like Mon-Sat, Mon Wed Fri or daily" };
+  },
+  phone(value) {
+    return /^\+?[\d\s-]{3,}$/.test(value) ? { value: value.replace(/[\s-]/g, "") } : { error: "must be a phone number" };
+  }
+};
+
+// Returns `{ fromRow, fromRows }` for `schema`, a list of
+// { column, key, type, required }. `check(row)` may return extra errors for
+// rows whose every column is valid.
+function parser(schema, check) {
+  let knownColumns = schema.map((field) => field.column);
+
+  // Builds a typed row from a csvtojson row (an object keyed by header).
+  // Returns `{ record, errors }`; `record` is null when the row is invalid.
+  function fromRow(row) {
+    let record = { extra: {} };
+    let errors = [];
+
+    for (let field of schema) {
+      let raw = row[field.column] === undefined ? "" : String(row[field.column]).trim();
+
+      if (raw === "") {
+        field.required && errors.push(`${field.column} is missing`);
+        record[field.key] = field.type === "text" ? "" : null;
+        continue;
+      }
+
+      let parsed = TYPES[field.type](raw);
+      parsed.error ? errors.push(`${field.column} "${raw}" ${parsed.error}`) : (record[field.key] = parsed.value);
+    }
+
+    if (!errors.length && check) {
+      errors = check(record);
+    }
+
+    Object.keys(row)
+      .filter((column) => knownColumns.indexOf(column) < 0)
+      .forEach((column) => (record.extra[column] = row[column]));
+
+    return errors.length ? { record: null, errors } : { record, errors };
+  }
+
+  // Parses every row, collecting the row number (1 based, header excluded) of
+  // each invalid one instead of failing the whole file.
+  function fromRows(rows) {
+    let records = [];
+    let invalid = [];
+
+    rows.forEach((row, index) => {
+      let { record, errors } = fromRow(row);
+      record ? records.push(record) : invalid.push({ row: index + 1, errors });
+    });
+
+    return { records, invalid };
+  }
+
+  return { fromRow, fromRows };
+}
+
+exports.parser = parser;
@@ -0,0 +1,140 @@
+// Fuzzy search of records by locality (`place`) and district name. Queries
+// and names are transliterated from Devanagari and folded to a rough
+// phonetic spelling first, so "राजौरी", "rajauri" and "Rajouri" all match.
+
+const Aggregate = require("./aggregate");
+
+const VOWELS = {
+  "अ": "a", "आ": "aa", "इ": "i", "ई": "ee", "उ": "u", "ऊ": "oo", "ऋ": "ri",
+  "ए": "e", "ऐ": "ai", "ओ": "o", "औ": "au"
+};
+const MATRAS = {
+  "ा": "aa", "ि": "i", "ी": "ee", "ु": "u", "ू": "oo", "ृ": "ri",
+  "े": "e", "ै": "ai", "ो": "o", "ौ": "au"
+};
+const CONSONANTS = {
+  "क": "k", "ख": "kh", "ग": "g", "घ": "gh", "ङ": "n",
+  "च": "ch", "छ": "chh", "ज": "j", "झ": "jh", "ञ": "n",
+  "ट": "t", "ठ": "th", "ड": "d", "ढ": "dh", "ण": "n",
+  "त": "t", "थ": "th", "द": "d", "ध": "dh", "न": "n",
+  "प": "p", "फ": "ph", "ब": "b", "भ": "bh", "म": "m",
+  "य": "y", "र": "r", "ल": "l", "व": "v",
+  "श": "sh", "ष": "sh", "स": "s", "ह": "h"
+};
+const VIRAMA = "्";
+const NASALS = ["ं", "ँ"];
+const NUKTA = "़";
+const VISARGA = "ः";
+
+// Spellings that differ only in how people romanise Hindi.
+const FOLDS = [
+  [/ph/g, "f"],
+  [/w/g, "v"],
+  [/z/g, "j"],
+  [/(sh|chh|ch)/g, "s"],
+  [/q/g, "k"],
+  [/(ee|ie|ey|y)/g, "i"],
+  [/oo/g, "u"],
+  [/(au|ou|ow)/g, "o"],
+  [/h/g, ""],
+  [/(.)\1+/g, "$1"]
+];
+
+const MAX_RESULTS = 20;
+
+function transliterate(text) {
+  let out = "";
+  let chars = Array.from(text);
+
+  chars.forEach((char, i) => {
+    let next = chars[i + 1];
+    if (CONSONANTS[char]) {
+      out += CONSONANTS[char];
+      // Consonants carry an inherent "a" unless a vowel sign or virama follows.
+      let bare = next === NUKTA ? chars[i + 2] : next;
+      !(MATRAS[bare] || bare === VIRAMA) && (out += "a");
+    } else if (MATRAS[char] || VOWELS[char]) {
+      out += MATRAS[char] || VOWELS[char];
+    } else if (NASALS.indexOf(char) >= 0) {
+      out += "n";
+    } else if (char === VISARGA) {
+      out += "h";
+    } else if (char !== VIRAMA && char !== NUKTA) {
+      out += char;
+    }
+  });
+
+  return out;
+}
+
+function fold(text) {
+  let words = transliterate(String(text || ""))
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((word) => word)
+    // Hindi drops the inherent "a" at the end of a word ("नगर" is "nagar").
+    .map((word) => (word.length > 2 ? word.replace(/a$/, "") : word));
+
+  return words.map((word) => FOLDS.reduce((folded, rule) => folded.replace(rule[0], rule[1]), word)).join(" ");
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// 0 for a prefix match, 1 for a match inside the name, 2 and up for matches
+// within the typo allowance, or undefined for no match.
+function score(query, name) {
+  if (!name) {
+    return undefined;
+  }
+  if (name.indexOf(query) === 0) {
+    return 0;
+  }
+  if (name.indexOf(query) > 0) {
+    return 1;
+  }
+
+  let allowed = Math.min(2, Math.floor(query.length / 4));
+  let words = name.split(" ");
+  let best = undefined;
+  // Compare against every run of consecutive words, so multi-word queries work.
+  for (let start = 0; start < words.length; start++) {
+    for (let end = start + 1; end <= words.length; end++) {
+      let candidate = words.slice(start, end).join(" ");
+      let distance = editDistance(query, candidate.substr(0, query.length + allowed));
+      distance <= allowed && (best === undefined || distance < best) && (best = distance);
+    }
+  }
+  return best === undefined ? undefined : best + 2;
+}
+
+// Best matches first, one result per pincode (its latest row).
+function search(records, query) {
+  let folded = fold(query);
+  if (folded.length < 2) {
+    return [];
+  }
+
+  return Aggregate.latestByPincode(records)
+    .map((record) => {
+      let scores = [score(folded, fold(record.place)), score(folded, fold(record.district_name))]
+        .filter((value) => value !== undefined);
+      return { record, score: scores.length ? Math.min(...scores) : undefined };
+    })
+    .filter((result) => result.score !== undefined)
+    .sort((a, b) => a.score - b.score || a.record.district_name.localeCompare(b.record.district_name))
+    .slice(0, MAX_RESULTS)
+    .map((result) => result.record);
+}
+
+exports.fold = fold;
+exports.search = search;
@@ -0,0 +1,14 @@
+// A dataset may carry several dated rows per pincode. Undated rows are a
+// single snapshot and sort before any dated row of the same pincode.
+function forPincode(records, pincode) {
+  return records
+    .filter((record) => record.pincode == pincode)
+    .sort((a, b) => (a.date || "").localeCompare(b.date || ""));
+}
+
+function latest(series) {
+  return series.length ? series[series.length - 1] : undefined;
+}
+
+exports.forPincode = forPincode;
+exports.latest = latest;
@@ -0,0 +1,57 @@
+// Preferences from the settings page, kept in localStorage as one object.
+// The language and the reading aids keep their own keys (see i18n.js and
+// display.js).
+
+const STORAGE_KEY = "covid-19-india:settings";
+
+const THEMES = ["auto", "ios", "md"];
+// "auto" follows the device's light or dark setting.
+const DARK_MODES = ["off", "on", "auto"];
+
+const DEFAULTS = {
+  theme: "auto",
+  dark: "off",
+  // The pincode the app opens on, with the dataset it belongs to.
+  dataset: null,
+  pincode: null,
+  // Leaves out the offline copy, which downloads every dataset.
+  dataSaver: false
+};
+
+function get() {
+  try {
+    return Object.assign({}, DEFAULTS, JSON.parse(localStorage.getItem(STORAGE_KEY)));
+  } catch (e) {
+    return Object.assign({}, DEFAULTS);
+  }
+}
+
+function set(changes) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(Object.assign(get(), changes)));
+}
+
+// Framework7 picks its theme once, when it starts.
+function frameworkParams() {
+  let settings = get();
+  return {
+    theme: THEMES.indexOf(settings.theme) >= 0 ? settings.theme : DEFAULTS.theme,
+    autoDarkTheme: settings.dark === "auto"
+  };
+}
+
+// Dark mode can change on a running app.
+function applyDark(app) {
+  let dark = get().dark;
+  if (dark === "auto") {
+    return app ? app.enableAutoDarkTheme() : undefined;
+  }
+  app && app.disableAutoDarkTheme();
+  document.documentElement.classList.toggle("theme-dark", dark === "on");
+}
+
+exports.THEMES = THEMES;
+exports.DARK_MODES = DARK_MODES;
+exports.get = get;
+exports.set = set;
+exports.frameworkParams = frameworkParams;
+exports.applyDark = applyDark;
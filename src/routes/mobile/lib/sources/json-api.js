@@ -0,0 +1,38 @@
+const Record = require("../record");
+
+// Reads an HTTP JSON API that serves the same rows as the CSVs, keyed by the
+// CSV header:
+//   GET <url>/datasets/<id>/records            every row of the dataset
+//   GET <url>/datasets/<id>/pincodes/<pincode> the rows of one pincode
+//   GET <url>/datasets/<id>/summary            the dataset's totals, as
+//                                              lib/aggregate overview()
+
+function apiUrl(path) {
+  return `${document.documentElement.getAttribute("data-api-url") || "/api"}/${path}`;
+}
+
+function fetchRecords(dataset, path) {
+  return fetch(apiUrl(path))
+    .then((response) => (response.ok ? response.json() : []))
+    .then((rows) => {
+      let { records, invalid } = Record.fromRows(rows);
+      invalid.forEach((entry) => console.warn(`${dataset.id} API row ${entry.row}: ${entry.errors.join(", ")}`));
+      return records;
+    });
+}
+
+function load(dataset) {
+  return fetchRecords(dataset, `datasets/${dataset.id}/records`);
+}
+
+function lookup(dataset, pincode) {
+  return fetchRecords(dataset, `datasets/${dataset.id}/pincodes/${pincode}`);
+}
+
+function summary(dataset) {
+  return fetch(apiUrl(`datasets/${dataset.id}/summary`)).then((response) => response.json());
+}
+
+exports.load = load;
+exports.lookup = lookup;
+exports.summary = summary;
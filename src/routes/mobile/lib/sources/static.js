@@ -0,0 +1,41 @@
+const Datasets = require("../datasets");
+const Record = require("../record");
+const staticUrl = require("../static-url");
+
+// Reads the CSVs and pincode index bundled by data/browser.json.
+
+function csvUrl(dataset) {
+  return staticUrl(`csv-files/${dataset.id}/${dataset.file}`);
+}
+
+// Fetches and parses a dataset's CSV into records. Invalid rows are logged
+// and left out rather than failing the whole dataset.
+function load(dataset) {
+  return fetch(csvUrl(dataset))
+    .then((response) => response.text())
+    .then((data) => csv().fromString(data))
+    .then((rows) => {
+      let { records, invalid } = Record.fromRows(rows);
+      invalid.forEach((entry) => console.warn(`${dataset.file} row ${entry.row}: ${entry.errors.join(", ")}`));
+      return records;
+    });
+}
+
+// Fetches only the index shard that can hold `pincode`, resolving to the
+// records in it (already validated at build time).
+function lookup(dataset, pincode) {
+  return fetch(staticUrl(`${Datasets.INDEX_DIR}/${dataset.id}/${Datasets.shardOf(pincode)}.json`))
+    .then((response) => (response.ok ? response.json() : []))
+    .then((records) => records.filter((record) => record.pincode == pincode));
+}
+
+// Fetches the dataset's totals written at build time, so listing states
+// needs no full CSV.
+function summary(dataset) {
+  return fetch(staticUrl(`${Datasets.INDEX_DIR}/${dataset.id}/${Datasets.SUMMARY_FILE}`))
+    .then((response) => response.json());
+}
+
+exports.load = load;
+exports.lookup = lookup;
+exports.summary = summary;
@@ -0,0 +1,71 @@
+// Reads text aloud with the browser's Speech Synthesis API, in the app's
+// language when the device has a voice for it.
+
+const I18n = require("./i18n");
+
+// Chrome has no voices until "voiceschanged" fires, and a browser with none
+// may never fire it.
+const VOICES_TIMEOUT_MS = 1000;
+
+function supported() {
+  return typeof window !== "undefined" && "speechSynthesis" in window;
+}
+
+let current = null;
+let voicesReady = null;
+// Bumped by every cancel, so a speak waiting for voices knows it was stopped.
+let generation = 0;
+
+function voices() {
+  let synth = window.speechSynthesis;
+  voicesReady = voicesReady || new Promise((resolve) => {
+    if (synth.getVoices().length) {
+      return resolve();
+    }
+    let done = () => {
+      synth.removeEventListener("voiceschanged", done);
+      resolve();
+    };
+    synth.addEventListener("voiceschanged", done);
+    setTimeout(done, VOICES_TIMEOUT_MS);
+  });
+  return voicesReady.then(() => synth.getVoices());
+}
+
+// The utterance being replaced must not report its end to its caller late.
+function cancel() {
+  generation++;
+  current && (current.onend = current.onerror = null);
+  current = null;
+  window.speechSynthesis.cancel();
+}
+
+// Stops whatever is being read and reads `text`; `onEnd` runs once it has
+// been read out or failed, but not when stopped.
+function speak(text, onEnd) {
+  cancel();
+  let started = generation;
+
+  voices().then((list) => {
+    if (started !== generation) {
+      return;
+    }
+    let utterance = new SpeechSynthesisUtterance(text);
+    let voice = list.find((entry) => entry.lang.replace("_", "-").indexOf(I18n.locale()) === 0);
+
+    utterance.lang = voice ? voice.lang : `${I18n.locale()}-IN`;
+    voice && (utterance.voice = voice);
+    utterance.onend = utterance.onerror = () => onEnd && onEnd();
+
+    current = utterance;
+    window.speechSynthesis.speak(utterance);
+  });
+}
+
+function stop() {
+  supported() && cancel();
+}
+
+exports.supported = supported;
+exports.speak = speak;
+exports.stop = stop;
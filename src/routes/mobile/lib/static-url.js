@@ -0,0 +1,7 @@
+// Resolves a path under the Lasso output directory. The prefix differs
+// between the dev server, the GitHub build and the Android build, so
+// mobile-layout renders it onto <html> at build time.
+module.exports = function staticUrl(path) {
+  let prefix = document.documentElement.getAttribute("data-static-url") || "/static";
+  return `${prefix}/${path}`;
+};
@@ -0,0 +1,74 @@
+const Directory = require("./directory");
+const Geo = require("./geo");
+
+// COVID-19 testing centres from data/testing-centres.csv. A centre serves its
+// own pincode plus any listed under `serves`.
+
+const SCHEMA = [
+  { column: "name", key: "name", type: "text", required: true },
+  { column: "address", key: "address", type: "text", required: true },
+  { column: "pincode", key: "pincode", type: "pincode", required: true },
+  { column: "serves", key: "serves", type: "pincodes", required: false },
+  { column: "days", key: "days", type: "days", required: false },
+  { column: "opens", key: "opens", type: "time", required: false },
+  { column: "closes", key: "closes", type: "time", required: false },
+  { column: "booking", key: "booking", type: "text", required: true },
+  { column: "cost", key: "cost", type: "count", required: true },
+  { column: "eligibility", key: "eligibility", type: "text", required: false },
+  { column: "phone", key: "phone", type: "phone", required: false }
+];
+
+const BOOKINGS = ["walk-in", "appointment", "both"];
+
+// Pincodes whose centroids are this close count as adjacent.
+const ADJACENT_KM = 5;
+
+const centres = Directory.directory({
+  dir: "testing-centres",
+  file: "testing-centres.csv",
+  schema: SCHEMA,
+  check: (centre) => {
+    let errors = [];
+    BOOKINGS.indexOf(centre.booking) < 0 && errors.push(`booking "${centre.booking}" must be one of ${BOOKINGS.join(", ")}`);
+    (centre.opens === null) !== (centre.closes === null) && errors.push("opens and closes must be given together");
+    return errors;
+  }
+});
+
+function servedPincodes(centre) {
+  return [centre.pincode].concat(centre.serves || []);
+}
+
+// Resolves to the centres serving `pincode` as { centre, adjacent }, followed
+// by those serving an adjacent pincode (`adjacent` true).
+function serving(pincode) {
+  return Promise.all([centres.load(), Geo.around(pincode, ADJACENT_KM)]).then(([all, nearby]) => {
+    let items = all
+      .filter((centre) => servedPincodes(centre).some((served) => nearby.indexOf(served) >= 0))
+      .map((centre) => ({ centre, adjacent: servedPincodes(centre).indexOf(String(pincode)) < 0 }));
+    return items.filter((item) => !item.adjacent).concat(items.filter((item) => item.adjacent));
+  });
+}
+
+// true or false, or null when the centre lists no hours. Hours that run past
+// midnight count towards the day they start on.
+function isOpen(centre, date) {
+  if (centre.opens === null) {
+    return null;
+  }
+
+  let minutes = date.getHours() * 60 + date.getMinutes();
+  let today = date.getDay();
+  let openOn = (day) => !centre.days || centre.days.indexOf(day) >= 0;
+
+  if (centre.opens < centre.closes) {
+    return openOn(today) && minutes >= centre.opens && minutes < centre.closes;
+  }
+  return (openOn(today) && minutes >= centre.opens) || (openOn((today + 6) % 7) && minutes < centre.closes);
+}
+
+exports.SCHEMA = SCHEMA;
+exports.FILE = centres.FILE;
+exports.fromRow = centres.fromRow;
+exports.serving = serving;
+exports.isOpen = isOpen;
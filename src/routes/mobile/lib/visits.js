@@ -0,0 +1,34 @@
+const STORAGE_KEY = "covid-19-india:last-seen";
+const FIELDS = ["confirmed", "deaths", "recovered", "medical_load", "civil_load"];
+
+function readAll() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch (e) {
+    return {};
+  }
+}
+
+// Numbers shown for `pincode` on the previous visit, or undefined on the first.
+function lastSeen(pincode) {
+  return readAll()[pincode];
+}
+
+function remember(record) {
+  let all = readAll();
+  let seen = { seen_at: new Date().toISOString() };
+  FIELDS.forEach((field) => (seen[field] = record[field]));
+  all[record.pincode] = seen;
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(all));
+}
+
+// Difference of each field between the previous visit and `record`.
+function changes(previous, record) {
+  let result = { since: previous.seen_at };
+  FIELDS.forEach((field) => (result[field] = record[field] - previous[field]));
+  return result;
+}
+
+exports.lastSeen = lastSeen;
+exports.remember = remember;
+exports.changes = changes;
@@ -0,0 +1,63 @@
+// Pincodes the user follows, in the order they arranged them, kept in
+// localStorage as [{ dataset, pincode, thresholds }]. `thresholds` maps a
+// load ("medical_load", "civil_load") to the % above which to alert.
+
+const STORAGE_KEY = "covid-19-india:watchlist";
+
+function list() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+  } catch (e) {
+    return [];
+  }
+}
+
+function save(entries) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+}
+
+function find(pincode) {
+  return list().find((entry) => entry.pincode === pincode);
+}
+
+function has(pincode) {
+  return !!find(pincode);
+}
+
+function add(datasetId, pincode) {
+  !has(pincode) && save(list().concat([{ dataset: datasetId, pincode: pincode, thresholds: {} }]));
+}
+
+function remove(pincode) {
+  save(list().filter((entry) => entry.pincode !== pincode));
+}
+
+// Sets the alert threshold of one load; null turns that alert off.
+function setThreshold(pincode, key, value) {
+  save(list().map((entry) => {
+    if (entry.pincode === pincode) {
+      entry.thresholds = Object.assign({}, entry.thresholds);
+      entry.thresholds[key] = value;
+    }
+    return entry;
+  }));
+}
+
+// Moves a pincode `offset` places up (negative) or down the list.
+function move(pincode, offset) {
+  let entries = list();
+  let from = entries.findIndex((entry) => entry.pincode === pincode);
+  let to = Math.max(0, Math.min(entries.length - 1, from + offset));
+  if (from >= 0 && from !== to) {
+    entries.splice(to, 0, entries.splice(from, 1)[0]);
+    save(entries);
+  }
+}
+
+exports.list = list;
+exports.find = find;
+exports.has = has;
+exports.add = add;
+exports.remove = remove;
+exports.move = move;
+exports.setThreshold = setThreshold;
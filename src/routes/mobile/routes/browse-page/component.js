@@ -0,0 +1,12 @@
+module.exports = class {
+
+    async pageBeforeIn() {
+        this.getComponent('content').refresh();
+
+    }
+
+    // Back goes up one level of the drill-down before leaving the page.
+    up() {
+        this.getComponent('content').up() || window.app.views.main.router.back();
+    }
+}
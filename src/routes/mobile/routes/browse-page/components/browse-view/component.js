@@ -0,0 +1,95 @@
+const Aggregate = require("../../../../lib/aggregate");
+const Datasets = require("../../../../lib/datasets");
+const Series = require("../../../../lib/series");
+const Dashboard = require("../../../../lib/dashboard");
+const dataSource = require("../../../../lib/data-source");
+const I18n = require("../../../../lib/i18n");
+
+// Below the state level, the record field each level lists.
+const LEVELS = [
+    { title: "browse.states" },
+    { key: "place", title: "browse.divisions" },
+    { key: "district_name", title: "browse.districts" },
+    { key: "pincode", title: "browse.pincodes" }
+];
+
+module.exports = class {
+
+    onCreate() {
+        this.state = {
+            title: I18n.t(LEVELS[0].title),
+            trail: [],
+            items: null,
+            error: null
+        }
+        // Dataset id, then division and district picked so far.
+        this.selection = [];
+        this.records = {};
+    }
+
+    refresh() {
+        this.selection = [];
+        this.show();
+    }
+
+    // Returns false when already at the top level.
+    up() {
+        if (!this.selection.length) {
+            return false;
+        }
+        this.selection.pop();
+        this.show();
+        return true;
+    }
+
+    select(name) {
+        if (this.selection.length === LEVELS.length - 1) {
+            return Dashboard.open(this.selection[0], Series.forPincode(this.records[this.selection[0]], name));
+        }
+        this.selection.push(name);
+        this.show();
+    }
+
+    // Records of a dataset, downloaded once.
+    recordsOf(id) {
+        return this.records[id] ? Promise.resolve(this.records[id]) : dataSource().load(Datasets.find(id)).then((records) => {
+            this.records[id] = records;
+            return records;
+        });
+    }
+
+    show() {
+        let selection = this.selection.slice();
+        let depth = selection.length;
+        this.state.title = I18n.t(LEVELS[depth].title);
+        this.state.trail = selection.map((name, i) => (i === 0 ? Datasets.find(name).name : name));
+        this.state.items = null;
+        this.state.error = null;
+
+        // States are listed from their totals alone; a state's records are
+        // downloaded once it is opened.
+        let items = depth === 0
+            ? Promise.all(Datasets.list().map((dataset) => dataSource().summary(dataset).then((summary) => ({
+                id: dataset.id,
+                name: dataset.name,
+                summary: summary
+            }))))
+            : this.recordsOf(selection[0]).then((records) => Aggregate.groupBy(
+                records.filter((record) => (depth < 2 || record.place === selection[1]) && (depth < 3 || record.district_name === selection[2])),
+                LEVELS[depth].key
+            ));
+
+        // Ignore a slow load for a level the user has already left.
+        let current = () => selection.join("/") === this.selection.join("/");
+        items.then((list) => {
+            if (current()) {
+                this.state.items = list.map((item) => Object.assign({ id: item.name, isPincode: depth === LEVELS.length - 1 }, item));
+            }
+        }).catch(() => {
+            if (current()) {
+                this.state.error = I18n.t("error.loadFailed");
+            }
+        })
+    }
+
+}
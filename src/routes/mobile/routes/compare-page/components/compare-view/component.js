@@ -0,0 +1,90 @@
+const Datasets = require("../../../../lib/datasets");
+const Series = require("../../../../lib/series");
+const Dashboard = require("../../../../lib/dashboard");
+const I18n = require("../../../../lib/i18n");
+
+const MAX_PINCODES = 4;
+
+// Rows of the comparison. `better` says which end of a metric is good news.
+const METRICS = [
+    { key: "confirmed", label: "metric.confirmed", better: "lower" },
+    { key: "deaths", label: "metric.deaths", better: "lower" },
+    { key: "recovered", label: "metric.recovered", better: "higher" },
+    { key: "medical_load", label: "metric.medicalLoad", unit: "%", better: "lower" },
+    { key: "civil_load", label: "metric.civilLoad", unit: "%", better: "lower" }
+];
+
+// Marks the best and worst column of each metric with "best"/"worst"; a
+// metric where every column is equal has no highlight.
+function highlight(entries) {
+    return METRICS.map((metric) => {
+        let values = entries.map((entry) => entry.record[metric.key]);
+        let min = Math.min(...values);
+        let max = Math.max(...values);
+        let best = metric.better === "lower" ? min : max;
+        let worst = metric.better === "lower" ? max : min;
+
+        return {
+            label: I18n.t(metric.label),
+            unit: metric.unit || "",
+            cells: values.map((value) => ({
+                value: I18n.formatNumber(value),
+                rank: entries.length < 2 || min === max ? "" : (value === best ? "best" : (value === worst ? "worst" : ""))
+            }))
+        };
+    });
+}
+
+module.exports = class {
+
+    onCreate() {
+        let datasets = Datasets.list();
+        this.state = {
+            datasets: datasets,
+            dataset: datasets[0].id,
+            max: MAX_PINCODES,
+            entries: [],
+            rows: [],
+            full: false
+        }
+    }
+
+    // Starts the comparison with the pincode shown on the home page.
+    refresh() {
+        let record = window.app.data.record;
+        if (!this.state.entries.length && record) {
+            this.setEntries([{ record: record, history: window.app.data.history || [record] }]);
+        }
+    }
+
+    setEntries(entries) {
+        this.state.entries = entries;
+        this.state.rows = highlight(entries);
+        this.state.full = entries.length >= MAX_PINCODES;
+    }
+
+    selectDataset() {
+        this.state.dataset = this.getEl('dataset').value;
+    }
+
+    add() {
+        let pincode = this.getEl('pincode').value.trim();
+
+        if (this.state.entries.some((entry) => entry.record.pincode === pincode)) {
+            return;
+        }
+
+        Dashboard.load(this.state.dataset, pincode).then((series) => {
+            if (!series.length) {
+                return alert(I18n.t("error.notFound", { pincode: pincode }));
+            }
+            this.getEl('pincode').value = "";
+            this.setEntries(this.state.entries.concat([{ record: Series.latest(series), history: series }]).slice(0, MAX_PINCODES));
+        }).catch(() => alert(I18n.t("error.loadFailed")))
+    }
+
+    remove(pincode) {
+        this.setEntries(this.state.entries.filter((entry) => entry.record.pincode !== pincode));
+    }
+
+}
@@ -0,0 +1,44 @@
+const Contacts = require("../../../../lib/contacts");
+const I18n = require("../../../../lib/i18n");
+
+module.exports = class {
+
+    onCreate() {
+        this.state = {
+            district: null,
+            query: "",
+            groups: null,
+            error: null
+        }
+        this.all = [];
+    }
+
+    // Lists the contacts for the district of the pincode on the home page.
+    // Opened without one, it sends the user to pick one.
+    refresh() {
+        let record = window.app.data.record;
+        if (!record) {
+            return window.app.views.main.router.navigate({ name: "login" });
+        }
+        this.state.district = record.district_name;
+        this.state.groups = null;
+        this.state.error = null;
+
+        Contacts.forDistrict(record).then((contacts) => {
+            this.all = contacts;
+            this.show();
+        }).catch(() => {
+            this.state.error = I18n.t("contacts.loadFailed");
+        });
+    }
+
+    search(event, el) {
+        this.state.query = el.value;
+        this.show();
+    }
+
+    show() {
+        this.state.groups = Contacts.byCategory(Contacts.filter(this.all, this.state.query));
+    }
+
+}
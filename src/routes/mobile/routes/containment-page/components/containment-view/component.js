@@ -0,0 +1,37 @@
+const Containment = require("../../../../lib/containment");
+const I18n = require("../../../../lib/i18n");
+
+module.exports = class {
+
+    onCreate() {
+        this.state = {
+            pincode: null,
+            zones: null,
+            error: null
+        }
+    }
+
+    // Lists every zone in the pincode on the home page, active ones first.
+    // Opened without one, it sends the user to pick one.
+    refresh() {
+        let record = window.app.data.record;
+        if (!record) {
+            return window.app.views.main.router.navigate({ name: "login" });
+        }
+        let pincode = record.pincode;
+        this.state.pincode = pincode;
+        this.state.zones = null;
+        this.state.error = null;
+
+        Containment.inPincode(pincode).then((zones) => {
+            this.state.zones = zones.map((zone) => ({
+                zone,
+                active: Containment.isActive(zone),
+                restrictions: Containment.restrictionsOf(zone)
+            }));
+        }).catch(() => {
+            this.state.error = I18n.t("containment.loadFailed");
+        });
+    }
+
+}
@@ -0,0 +1,48 @@
+const Aggregate = require("../../../../lib/aggregate");
+const Datasets = require("../../../../lib/datasets");
+const Series = require("../../../../lib/series");
+const Dashboard = require("../../../../lib/dashboard");
+const dataSource = require("../../../../lib/data-source");
+const I18n = require("../../../../lib/i18n");
+
+module.exports = class {
+
+    onCreate() {
+        this.state = {
+            district: null,
+            summary: null,
+            error: null
+        }
+    }
+
+    // Shows the district in window.app.data.district ({ dataset, name }),
+    // which is unset until a district link is followed.
+    refresh() {
+        let district = window.app.data.district;
+        if (!district) {
+            return;
+        }
+        this.state.district = district.name;
+        this.state.summary = null;
+        this.state.error = null;
+
+        dataSource().load(Datasets.find(district.dataset)).then((records) => {
+            this.records = records;
+            let summary = Aggregate.summarize(records.filter((record) => record.district_name === district.name));
+            this.state.summary = summary;
+
+            setTimeout(() => {
+                window.app.progressbar.set(this.getEl('medical'), summary.medical_load, 2000)
+
+                window.app.progressbar.set(this.getEl('civil'), summary.civil_load, 2000)
+            }, 10);
+        }).catch(() => {
+            this.state.error = I18n.t("error.loadFailed");
+        });
+    }
+
+    openPincode(pincode) {
+        Dashboard.open(window.app.data.district.dataset, Series.forPincode(this.records, pincode));
+    }
+
+}
@@ -0,0 +1,50 @@
+const Facilities = require("../../../../lib/facilities");
+const I18n = require("../../../../lib/i18n");
+
+const SORTS = {
+    distance: Facilities.byDistance,
+    beds: Facilities.byFreeBeds
+};
+
+module.exports = class {
+
+    onCreate() {
+        this.state = {
+            pincode: null,
+            radius: Facilities.MAX_DISTANCE_KM,
+            items: null,
+            sort: "distance",
+            error: null
+        }
+    }
+
+    // Lists the facilities near the pincode on the home page. Opened without
+    // one (a reload or a shared link), it sends the user to pick one.
+    refresh() {
+        let record = window.app.data.record;
+        if (!record) {
+            return window.app.views.main.router.navigate({ name: "login" });
+        }
+        let pincode = record.pincode;
+        this.state.pincode = pincode;
+        this.state.items = null;
+        this.state.error = null;
+
+        // Ignore a slow load for a pincode that is no longer on show.
+        Facilities.near(pincode).then((items) => {
+            if (this.state.pincode === pincode) {
+                this.state.items = items.sort(SORTS[this.state.sort]);
+            }
+        }).catch(() => {
+            if (this.state.pincode === pincode) {
+                this.state.error = I18n.t("facilities.loadFailed");
+            }
+        });
+    }
+
+    sortBy(sort) {
+        this.state.sort = sort;
+        this.state.items = this.state.items && this.state.items.slice().sort(SORTS[sort]);
+    }
+
+}
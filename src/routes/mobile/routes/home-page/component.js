@@ -1,7 +1,34 @@
+const Dashboard = require("../../lib/dashboard");
+const Datasets = require("../../lib/datasets");
+const I18n = require("../../lib/i18n");
+
 module.exports = class {
 
-    async pageBeforeIn() {
+    // A shared link (#!/home-page?state=delhi&pincode=110027) opens this page
+    // directly, so the pincode is loaded here when it is not the one on show.
+    async pageBeforeIn(page) {
+        let router = window.app.views.main.router;
+        let query = (page ? page.route : router.currentRoute).query || {};
+        let record = window.app.data.record;
+
+        if (query.pincode && !(record && record.pincode === query.pincode)) {
+            let datasetId = query.state || Datasets.list()[0].id;
+            try {
+                let series = await Dashboard.load(datasetId, query.pincode);
+                series.length ? Dashboard.show(datasetId, series) : alert(I18n.t("error.notFound", { pincode: query.pincode }));
+            } catch (error) {
+                alert(I18n.t("error.loadFailed"));
+            }
+        }
+
+        if (!window.app.data.record) {
+            return router.navigate({ name: "login" });
+        }
         this.getComponent('content').refresh();
 
     }
-}
\ No newline at end of file
+
+    pageBeforeOut() {
+        this.getComponent('content').stopReading();
+    }
+}
@@ -1,21 +1,167 @@
+const Visits = require("../../../../lib/visits");
+const Metrics = require("../../../../lib/metrics");
+const Dashboard = require("../../../../lib/dashboard");
+const Watchlist = require("../../../../lib/watchlist");
+const Alerts = require("../../../../lib/alerts");
+const Containment = require("../../../../lib/containment");
+const I18n = require("../../../../lib/i18n");
+const Speech = require("../../../../lib/speech");
+
+// Figures shown under the case counts; those without a value (growth needs
+// dated rows) are left out.
+function describeMetrics(record, history) {
+    let derived = Metrics.derive(record, history);
+    let rate = (value) => (value === null ? "–" : `${I18n.formatNumber(value)}%`);
+
+    return [
+        {
+            label: I18n.t("metrics.active"),
+            text: I18n.formatNumber(derived.active),
+            explanation: I18n.t("metrics.activeHelp")
+        },
+        {
+            label: I18n.t("metrics.fatality"),
+            text: rate(derived.fatality_rate),
+            explanation: I18n.t("metrics.fatalityHelp")
+        },
+        {
+            label: I18n.t("metrics.recovery"),
+            text: rate(derived.recovery_rate),
+            explanation: I18n.t("metrics.recoveryHelp")
+        },
+        derived.growth_rate !== null && {
+            label: I18n.t("metrics.growth"),
+            text: rate(derived.growth_rate),
+            explanation: I18n.t("metrics.growthHelp")
+        },
+        derived.doubling_time !== null && {
+            label: I18n.t("metrics.doubling"),
+            text: I18n.t("metrics.days", { value: I18n.formatNumber(derived.doubling_time) }),
+            explanation: I18n.t("metrics.doublingHelp")
+        }
+    ].filter((metric) => metric);
+}
+
+// What "Read aloud" says: the same figures as the page, as sentences.
+function spokenSummary(record, zones) {
+    let text = I18n.t("home.spoken", {
+        pincode: record.pincode.split("").join(" "),
+        district: record.district_name,
+        state: record.state,
+        confirmed: I18n.formatNumber(record.confirmed),
+        deaths: I18n.formatNumber(record.deaths),
+        recovered: I18n.formatNumber(record.recovered),
+        medical: I18n.formatNumber(record.medical_load),
+        civil: I18n.formatNumber(record.civil_load)
+    });
+    return zones.length
+        ? `${text} ${I18n.t(zones.length > 1 ? "containment.bannerMany" : "containment.bannerOne", { count: zones.length, pincode: record.pincode })}.`
+        : text;
+}
+
 module.exports = class {
 
     onCreate() {
         this.state = {
-            record: null
+            record: null,
+            history: [],
+            changes: null,
+            metrics: [],
+            watched: false,
+            zones: [],
+            canSpeak: false,
+            reading: false
         }
     }
 
     refresh() {
-        let record = [...window.app.data.record];;
+        let record = Object.assign({}, window.app.data.record);
         this.state.record = record;
+        this.state.history = window.app.data.history || [record];
+        this.state.metrics = describeMetrics(record, this.state.history);
+        this.state.watched = Watchlist.has(record.pincode);
+        this.state.zones = [];
+        this.state.canSpeak = Speech.supported();
+        this.stopReading();
+
+        Containment.activeIn(record.pincode).then((zones) => {
+            // A slow answer for a pincode the user has since left is dropped.
+            this.state.record && this.state.record.pincode === record.pincode && (this.state.zones = zones);
+        }).catch(() => {});
+
+        // Coming back to the page shows the same lookup; only a new lookup counts as a visit.
+        if (this.visited !== window.app.data.record) {
+            let previous = Visits.lastSeen(record.pincode);
+            this.state.changes = previous ? Visits.changes(previous, record) : null;
+            Visits.remember(record);
+            Alerts.check(record);
+            this.visited = window.app.data.record;
+        }
 
         setTimeout(() => {
-            window.app.progressbar.set(this.getEl('medical'), record[7], 2000)
+            window.app.progressbar.set(this.getEl('medical'), record.medical_load, 2000)
+
+            window.app.progressbar.set(this.getEl('civil'), record.civil_load, 2000)
 
-            window.app.progressbar.set(this.getEl('civil'), record[8], 2000)
+            this.initTooltips();
         }, 10);
 
     }
 
-}
\ No newline at end of file
+    // The page's tooltip-init links were auto-initialised before the record
+    // rendered, so tooltips are created here once the content exists.
+    initTooltips() {
+        [].forEach.call(this.el.querySelectorAll('.tooltip-init'), (el) => {
+            el.f7Tooltip && el.f7Tooltip.destroy();
+            window.app.tooltip.create({ targetEl: el, text: el.getAttribute('data-tooltip') });
+        });
+    }
+
+    toggleReading() {
+        if (this.state.reading) {
+            return this.stopReading();
+        }
+        this.state.reading = true;
+        Speech.speak(spokenSummary(this.state.record, this.state.zones), () => {
+            this.state.reading = false;
+        });
+    }
+
+    stopReading() {
+        this.state.reading && Speech.stop();
+        this.state.reading = false;
+    }
+
+    toggleWatch() {
+        let pincode = this.state.record.pincode;
+        this.state.watched ? Watchlist.remove(pincode) : Watchlist.add(window.app.data.dataset, pincode);
+        this.state.watched = !this.state.watched;
+    }
+
+    share() {
+        let record = this.state.record;
+        let url = Dashboard.shareUrl(window.app.data.dataset, record.pincode);
+        let title = I18n.t("home.shareTitle", { district: record.district_name, pincode: record.pincode });
+
+        if (navigator.share) {
+            return navigator.share({ title: title, url: url }).catch(() => {});
+        }
+        if (navigator.clipboard) {
+            return navigator.clipboard.writeText(url).then(() => {
+                window.app.toast.create({ text: I18n.t("home.linkCopied"), closeTimeout: 2000 }).open();
+            }).catch(() => window.prompt(I18n.t("home.copyLink"), url));
+        }
+        window.prompt(I18n.t("home.copyLink"), url);
+    }
+
+    openDistrict() {
+        window.app.data.district = {
+            dataset: window.app.data.dataset,
+            name: this.state.record.district_name
+        };
+        window.app.views.main.router.navigate({
+            name: "district"
+        });
+    }
+
+}
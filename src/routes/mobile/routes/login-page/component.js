@@ -1,3 +1,6 @@
+const Dashboard = require("../../lib/dashboard");
+const I18n = require("../../lib/i18n");
+
 module.exports = class {
 
   onCreate() {
@@ -12,39 +15,19 @@ module.exports = class {
 
 
   login_success() {
+    let selected_pincode = window.app.data.pincode;
 
-    fetch("/static/csv-files/delhi/delhi.csv").then((response) => response.text()).then((data) => {
-      console.log(data);
-
-      csv({
-        output: "csv"
-      })
-        .fromString(data)
-        .then((result) => {
-          let selected_pincode = window.app.data.pincode;
-
-          console.log({ pincode: window.app.data.pincode });
-          console.log({ result });
-
-          let found = undefined;
-          for (let i = 0; i < result.length && !found; i++) {
-            found = selected_pincode == result[i][0] ? result[i] : found;
-          }
-
-          found ? this.populate_data(found) : this.not_found_error(selected_pincode);
-        })
-    })
+    Dashboard.load(window.app.data.dataset, selected_pincode).then((series) => {
+      series.length ? this.populate_data(series) : this.not_found_error(selected_pincode);
+    }).catch(() => alert(I18n.t("error.loadFailed")))
 
 
   }
   not_found_error(pincode) {
-    alert(`Data not found for pincode:${pincode}`);
+    alert(I18n.t("error.notFound", { pincode: pincode }));
   }
-  populate_data(found) {
-    window.app.data.record = found;
-    window.app.views && window.app.views.main.router.navigate({
-      name: "home-page"
-    });
+  populate_data(series) {
+    Dashboard.open(window.app.data.dataset, series);
   }
 
 }
@@ -0,0 +1,48 @@
+const Datasets = require("../../../../lib/datasets");
+const dataSource = require("../../../../lib/data-source");
+const Search = require("../../../../lib/search");
+const I18n = require("../../../../lib/i18n");
+
+module.exports = class {
+
+  onCreate() {
+    this.state = {
+      query: "",
+      results: [],
+      error: null
+    }
+    this.records = {};
+  }
+
+  search() {
+    let query = this.getEl('query').value;
+    let dataset = Datasets.find(this.input.dataset);
+
+    this.recordsOf(dataset).then((records) => {
+      // Typing on while a dataset downloads must not show stale results.
+      if (query === this.getEl('query').value) {
+        this.state.error = null;
+        this.state.query = query.trim();
+        this.state.results = Search.search(records, query);
+      }
+    }).catch(() => {
+      // recordsOf forgets the failed download, so the next keystroke retries.
+      this.state.results = [];
+      this.state.error = I18n.t("search.loadFailed");
+    });
+  }
+
+  // The whole dataset is fetched once per state and kept for later searches.
+  recordsOf(dataset) {
+    this.records[dataset.id] = this.records[dataset.id] || dataSource().load(dataset).catch((error) => {
+      delete this.records[dataset.id];
+      throw error;
+    });
+    return this.records[dataset.id];
+  }
+
+  pick(pincode) {
+    this.emit('pick', pincode);
+  }
+
+}
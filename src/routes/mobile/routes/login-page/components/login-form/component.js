@@ -1,9 +1,45 @@
+const Datasets = require("../../../../lib/datasets");
+const Geo = require("../../../../lib/geo");
+const I18n = require("../../../../lib/i18n");
 
+// Beyond this a centroid is not considered the user's own pincode.
+const MAX_DISTANCE_KM = 25;
 
 module.exports = class {
 
+  onCreate() {
+    let datasets = Datasets.list();
+    this.state = {
+      datasets: datasets,
+      dataset: datasets[0].id
+    }
+  }
+
+  selectDataset() {
+    this.state.dataset = this.getEl('dataset').value;
+  }
+
+  pick(pincode) {
+    this.getEl('pincode').value = pincode;
+    this.signIn();
+  }
+
+  locate() {
+    Geo.currentPosition()
+      .then((position) => Geo.nearest(position))
+      .then((centroid) => {
+        if (!centroid || centroid.distance > MAX_DISTANCE_KM || !Datasets.find(centroid.dataset)) {
+          return alert(I18n.t("login.noneNearby"));
+        }
+        this.state.dataset = centroid.dataset;
+        this.pick(centroid.pincode);
+      })
+      .catch((error) => alert(I18n.t("login.locateFailed", { error: error.message })));
+  }
+
   signIn() {
 
+    window.app.data.dataset = this.state.dataset;
     window.app.data.pincode = this.getEl('pincode').value;
     this.emit('login');
   }
@@ -0,0 +1,7 @@
+module.exports = class {
+
+    async pageBeforeIn() {
+        this.getComponent('content').refresh();
+
+    }
+}
@@ -0,0 +1,159 @@
+const Aggregate = require("../../../../lib/aggregate");
+const Boundaries = require("../../../../lib/boundaries");
+const Datasets = require("../../../../lib/datasets");
+const Series = require("../../../../lib/series");
+const Dashboard = require("../../../../lib/dashboard");
+const Geo = require("../../../../lib/geo");
+const dataSource = require("../../../../lib/data-source");
+const I18n = require("../../../../lib/i18n");
+
+const WIDTH = 300;
+const PADDING = 10;
+const DOT_RADIUS = 6;
+const COLORS = ["#fee5d9", "#fcae91", "#fb6a4a", "#de2d26", "#a50f15"];
+const NO_DATA = "#dddddd";
+
+const METRICS = {
+    confirmed: { label: "metric.confirmed" },
+    medical_load: { label: "metric.medicalLoad", unit: "%", max: 100 }
+};
+
+function colorOf(value, max) {
+    if (value === undefined) {
+        return NO_DATA;
+    }
+    return COLORS[Math.min(COLORS.length - 1, Math.floor(value / (max || 1) * COLORS.length))];
+}
+
+module.exports = class {
+
+    onCreate() {
+        this.state = {
+            datasets: Datasets.list(),
+            dataset: null,
+            metric: "confirmed",
+            width: WIDTH,
+            dotRadius: DOT_RADIUS,
+            height: WIDTH,
+            shapes: null,
+            legend: [],
+            description: "",
+            error: null
+        }
+        this.areas = [];
+    }
+
+    // Opens on the dataset of the pincode on the home page, if any.
+    refresh() {
+        this.load(window.app.data.dataset || this.state.datasets[0].id);
+    }
+
+    selectDataset(event, el) {
+        this.load(el.value);
+    }
+
+    selectMetric(metric) {
+        this.state.metric = metric;
+        this.paint();
+    }
+
+    load(datasetId) {
+        this.state.dataset = datasetId;
+        this.state.shapes = null;
+        this.state.error = null;
+
+        Promise.all([dataSource().load(Datasets.find(datasetId)), Geo.centroids()]).then(([records, centroids]) => {
+            if (this.state.dataset !== datasetId) {
+                return;
+            }
+            this.records = records;
+            this.areas = this.layout(datasetId, records, centroids);
+            this.paint();
+        }).catch(() => {
+            this.state.error = I18n.t("map.loadFailed");
+        });
+    }
+
+    // Areas with an outline in the bundled boundaries are drawn as shapes;
+    // pincodes without one fall back to a dot at their centroid.
+    layout(datasetId, records, centroids) {
+        let latest = Aggregate.latestByPincode(records);
+        let areas = Boundaries.features(datasetId).map((feature) => {
+            let pincode = feature.properties.pincode;
+            let district = feature.properties.district;
+            let summary = pincode
+                ? latest.find((record) => record.pincode == pincode)
+                : Aggregate.summarize(records.filter((record) => record.district_name === district));
+            return {
+                pincode: pincode && String(pincode),
+                district: pincode ? undefined : district,
+                label: pincode ? `${pincode}` : district,
+                geometry: feature.geometry,
+                summary: summary && (pincode || summary.pincodes.length) ? summary : undefined
+            };
+        });
+
+        latest
+            .filter((record) => !areas.some((area) => area.pincode === record.pincode || area.district === record.district_name))
+            .forEach((record) => {
+                let centroid = centroids.find((entry) => entry.pincode == record.pincode);
+                centroid && areas.push({
+                    pincode: record.pincode,
+                    label: `${record.pincode} · ${record.district_name}`,
+                    point: [centroid.longitude, centroid.latitude],
+                    summary: record
+                });
+            });
+
+        let points = areas.reduce((all, area) => all.concat(area.point ? [area.point] : Boundaries.rings(area.geometry).reduce((list, ring) => list.concat(ring), [])), []);
+        if (!points.length) {
+            return [];
+        }
+
+        let projection = Boundaries.projection(points, WIDTH, PADDING);
+        this.state.height = projection.height;
+        return areas.map((area) => Object.assign(area, area.point
+            ? { center: projection.project(area.point) }
+            : { d: Boundaries.pathOf(area.geometry, projection.project) }));
+    }
+
+    paint() {
+        let metric = METRICS[this.state.metric];
+        let key = this.state.metric;
+        let max = metric.max || Math.max(0, ...this.areas.filter((area) => area.summary).map((area) => area.summary[key]));
+        let unit = metric.unit || "";
+
+        this.state.shapes = this.areas.map((area, index) => ({
+            index: index,
+            d: area.d,
+            center: area.center,
+            fill: colorOf(area.summary && area.summary[key], max),
+            title: `${area.label}: ${area.summary ? `${I18n.formatNumber(area.summary[key])}${unit}` : I18n.t("map.noData")}`
+        }));
+        this.state.description = I18n.t("map.describe", {
+            state: Datasets.find(this.state.dataset).name,
+            metric: I18n.t(metric.label)
+        });
+        this.state.legend = COLORS.map((color, i) => ({
+            color: color,
+            text: `${I18n.formatCompact(Math.round(max * i / COLORS.length))}–${I18n.formatCompact(Math.round(max * (i + 1) / COLORS.length))}${unit}`
+        }));
+    }
+
+    openByKey(index, event) {
+        (event.key === "Enter" || event.key === " ") && this.open(index);
+    }
+
+    open(index) {
+        let area = this.areas[index];
+        if (!area.summary) {
+            return;
+        }
+        if (area.pincode) {
+            return Dashboard.open(this.state.dataset, Series.forPincode(this.records, area.pincode));
+        }
+        window.app.data.district = { dataset: this.state.dataset, name: area.district };
+        window.app.views.main.router.navigate({ name: "district" });
+    }
+
+}
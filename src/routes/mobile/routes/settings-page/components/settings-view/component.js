@@ -0,0 +1,59 @@
+const Settings = require("../../../../lib/settings");
+const Datasets = require("../../../../lib/datasets");
+const Dashboard = require("../../../../lib/dashboard");
+const Offline = require("../../../../lib/offline");
+const I18n = require("../../../../lib/i18n");
+
+module.exports = class {
+
+    onCreate() {
+        this.state = {
+            themes: Settings.THEMES,
+            darkModes: Settings.DARK_MODES,
+            datasets: Datasets.list(),
+            settings: Settings.get()
+        }
+    }
+
+    refresh() {
+        let settings = Settings.get();
+        // With no default yet, the dataset offered is the one on show.
+        settings.dataset = settings.dataset || window.app.data.dataset || this.state.datasets[0].id;
+        this.state.settings = settings;
+    }
+
+    // Framework7 only reads the theme when it starts.
+    selectTheme(event, el) {
+        Settings.set({ theme: el.value });
+        location.reload();
+    }
+
+    selectDark(event, el) {
+        Settings.set({ dark: el.value });
+        Settings.applyDark(window.app);
+        this.refresh();
+    }
+
+    // The default is only kept once the pincode is found in the dataset; an
+    // empty pincode clears it.
+    setDefault() {
+        let dataset = this.getEl('dataset').value;
+        let pincode = this.getEl('pincode').value.trim();
+
+        if (!pincode) {
+            Settings.set({ dataset: null, pincode: null });
+            return this.refresh();
+        }
+        Dashboard.load(dataset, pincode).then((series) => {
+            series.length ? Settings.set({ dataset: dataset, pincode: pincode }) : alert(I18n.t("error.notFound", { pincode: pincode }));
+            this.refresh();
+        }).catch(() => alert(I18n.t("error.loadFailed")));
+    }
+
+    toggleDataSaver(event, el) {
+        Settings.set({ dataSaver: el.checked });
+        Offline.sync();
+        this.refresh();
+    }
+
+}
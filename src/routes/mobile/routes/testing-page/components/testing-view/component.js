@@ -0,0 +1,65 @@
+const TestingCentres = require("../../../../lib/testing-centres");
+const I18n = require("../../../../lib/i18n");
+
+function clock(minutes) {
+    return `${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(minutes % 60).padStart(2, "0")}`;
+}
+
+function describeHours(centre) {
+    if (centre.opens === null) {
+        return I18n.t("testing.noHours");
+    }
+    let days = !centre.days || centre.days.length === 7 ? I18n.t("testing.daily") : centre.days.map((day) => I18n.t(`day.${day}`)).join(", ");
+    return `${days} ${clock(centre.opens)}–${clock(centre.closes)}`;
+}
+
+module.exports = class {
+
+    onCreate() {
+        this.state = {
+            pincode: null,
+            items: null,
+            openNow: false,
+            error: null
+        }
+        this.all = [];
+    }
+
+    // Lists the centres serving the pincode on the home page and its
+    // neighbours. Opened without one, it sends the user to pick one.
+    refresh() {
+        let record = window.app.data.record;
+        if (!record) {
+            return window.app.views.main.router.navigate({ name: "login" });
+        }
+        let pincode = record.pincode;
+        this.state.pincode = pincode;
+        this.state.items = null;
+        this.state.error = null;
+
+        // Ignore a slow load for a pincode that is no longer on show.
+        TestingCentres.serving(pincode).then((items) => {
+            if (this.state.pincode === pincode) {
+                this.all = items;
+                this.show();
+            }
+        }).catch(() => {
+            if (this.state.pincode === pincode) {
+                this.state.error = I18n.t("testing.loadFailed");
+            }
+        });
+    }
+
+    toggleOpenNow(event, el) {
+        this.state.openNow = el.checked;
+        this.show();
+    }
+
+    show() {
+        let now = new Date();
+        this.state.items = this.all
+            .map((item) => Object.assign({ open: TestingCentres.isOpen(item.centre, now), hours: describeHours(item.centre) }, item))
+            .filter((item) => !this.state.openNow || item.open);
+    }
+
+}
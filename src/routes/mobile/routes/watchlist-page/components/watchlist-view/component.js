@@ -0,0 +1,75 @@
+const Watchlist = require("../../../../lib/watchlist");
+const Dashboard = require("../../../../lib/dashboard");
+const Series = require("../../../../lib/series");
+const Alerts = require("../../../../lib/alerts");
+const I18n = require("../../../../lib/i18n");
+
+module.exports = class {
+
+    onCreate() {
+        this.state = {
+            items: []
+        }
+    }
+
+    // Shows the watchlist at once and fills in each pincode's numbers as its
+    // data arrives.
+    refresh() {
+        let entries = Watchlist.list();
+        this.state.items = entries.map((entry) => ({ dataset: entry.dataset, pincode: entry.pincode, thresholds: entry.thresholds || {}, record: null, error: null }));
+
+        entries.forEach((entry) => {
+            Dashboard.load(entry.dataset, entry.pincode).then((series) => {
+                if (!series.length) {
+                    return this.update(entry.pincode, { error: I18n.t("error.notFound", { pincode: entry.pincode }) });
+                }
+                Alerts.check(Series.latest(series));
+                this.update(entry.pincode, { record: Series.latest(series), series: series });
+            }).catch(() => this.update(entry.pincode, { error: I18n.t("error.loadFailed") }))
+        });
+    }
+
+    // Merges `changes` into the pincode's item, if it is still listed.
+    update(pincode, changes) {
+        let items = this.state.items.slice();
+        let index = items.findIndex((item) => item.pincode === pincode);
+        if (index >= 0) {
+            items[index] = Object.assign({}, items[index], changes);
+            this.state.items = items;
+        }
+    }
+
+    open(pincode) {
+        let item = this.state.items.find((entry) => entry.pincode === pincode);
+        item && item.series && Dashboard.open(item.dataset, item.series);
+    }
+
+    // Reads a threshold input; an empty one turns that alert off.
+    setThreshold(pincode, key, event, el) {
+        let value = el.value === "" ? null : Math.max(0, Math.min(100, Number(el.value)));
+        Watchlist.setThreshold(pincode, key, value);
+        // Later renders must show the new value, not the one first loaded.
+        let item = this.state.items.find((entry) => entry.pincode === pincode);
+        item && this.update(pincode, { thresholds: Object.assign({}, item.thresholds, { [key]: value }) });
+        value !== null && Alerts.requestPermission();
+    }
+
+    move(pincode, offset) {
+        Watchlist.move(pincode, offset);
+        this.reorder();
+    }
+
+    remove(pincode) {
+        Watchlist.remove(pincode);
+        this.reorder();
+    }
+
+    // Follows the stored order without fetching the data again.
+    reorder() {
+        let items = this.state.items;
+        this.state.items = Watchlist.list()
+            .map((entry) => items.find((item) => item.pincode === entry.pincode))
+            .filter((item) => item);
+    }
+
+}
@@ -0,0 +1,59 @@
+// Template for the service worker. `gulp build` fills in VERSION and PRECACHE
+// from the files it just built, INDEX_DIR from lib/datasets.js and
+// CACHE_PREFIX from lib/offline.js, and writes the result to
+// dist/service-worker.js, so every published build installs a fresh cache.
+const VERSION = "__VERSION__";
+const PRECACHE = [/* PRECACHE */];
+const CACHE_PREFIX = "__CACHE_PREFIX__";
+const CACHE = `${CACHE_PREFIX}${VERSION}`;
+
+// Data files change between builds without being renamed, so they are
+// answered from the cache and refreshed from the network in the background.
+const INDEX_DIR = "__INDEX_DIR__";
+const DATA_PATTERN = new RegExp(`/static/(csv-files|${INDEX_DIR})/`);
+
+function inScope(url) {
+  return url.indexOf(self.registration.scope) === 0;
+}
+
+function fromNetwork(request) {
+  return fetch(request).then((response) => {
+    let copy = response.clone();
+    response.ok && caches.open(CACHE).then((cache) => cache.put(request, copy));
+    return response;
+  });
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches.open(CACHE)
+      .then((cache) => cache.addAll(PRECACHE.map((path) => new URL(path, self.registration.scope).href)))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(keys.filter((key) => key.indexOf(CACHE_PREFIX) === 0 && key !== CACHE).map((key) => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  let request = event.request;
+  if (request.method !== "GET" || !inScope(request.url)) {
+    return;
+  }
+
+  if (request.mode === "navigate") {
+    event.respondWith(fromNetwork(request).catch(() => caches.match(request, { ignoreSearch: true })));
+  } else if (DATA_PATTERN.test(request.url)) {
+    event.respondWith(caches.match(request).then((cached) => {
+      let update = fromNetwork(request).catch(() => cached);
+      return cached || update;
+    }));
+  } else {
+    event.respondWith(caches.match(request).then((cached) => cached || fromNetwork(request)));
+  }
+});
@@ -0,0 +1,198 @@
+// Checks the alert rules: Alerts.evaluate() against a series of synthetic
+// dataset updates, and Alerts.check() against a fake browser holding the
+// watchlist and the alert state in localStorage, and the banner,
+// Notification and service worker it may alert through. Run with
+// `npm run test:alerts`.
+const assert = require("assert");
+const csv = require("csvtojson");
+const Record = require("../src/routes/mobile/lib/record");
+const Alerts = require("../src/routes/mobile/lib/alerts");
+const { runCases } = require("./runner");
+
+const HEADER = '"pincode","state","place","district-name","confirmed","deaths","recovered","medical_load","civil_load"';
+
+// One dataset update: the loads of pincode 110027 at the time.
+function update(medical, civil) {
+  return `${HEADER}\n110027,Delhi,West Delhi,Rajouri Garden,10,1,8,${medical},${civil}`;
+}
+
+// Runs `updates` in order and returns the keys alerted after each one.
+async function evaluated(thresholds, updates) {
+  let above = undefined;
+  let fired = [];
+  for (let data of updates) {
+    let { records } = Record.fromRows(await csv().fromString(data));
+    let result = Alerts.evaluate(thresholds, records[0], above);
+    above = result.above;
+    fired.push(result.alerts.map((alert) => alert.key));
+  }
+  return fired;
+}
+
+// What the last check showed, reset before each case.
+let shown;
+
+// Installs the browser globals alerts.js and its modules read. `permission`
+// is the Notification permission; `worker` adds a controlling service worker.
+function browser({ watchlist, stored, permission, worker }) {
+  let items = {
+    "covid-19-india:locale": "en",
+    "covid-19-india:watchlist": JSON.stringify(watchlist || [])
+  };
+  stored && (items["covid-19-india:alerts"] = JSON.stringify(stored));
+  shown = { banners: [], notifications: [], workerNotifications: [] };
+
+  let localStorage = {
+    getItem: (key) => (key in items ? items[key] : null),
+    setItem: (key, value) => (items[key] = String(value))
+  };
+  class Notification {
+    constructor(title, options) {
+      shown.notifications.push(Object.assign({ title: title }, options));
+    }
+  }
+  Notification.permission = permission || "default";
+  let registration = {
+    showNotification: (title, options) => shown.workerNotifications.push(Object.assign({ title: title }, options))
+  };
+
+  let globals = {
+    localStorage: localStorage,
+    Notification: Notification,
+    navigator: {
+      languages: ["en"],
+      serviceWorker: worker ? { controller: {}, ready: Promise.resolve(registration) } : undefined
+    },
+    window: {
+      localStorage: localStorage,
+      Notification: Notification,
+      app: {
+        notification: {
+          create: (params) => ({ open: () => shown.banners.push(params) })
+        }
+      }
+    }
+  };
+  Object.keys(globals).forEach((name) => Object.defineProperty(global, name, { value: globals[name], configurable: true, writable: true }));
+  return items;
+}
+
+function watched(thresholds) {
+  return [{ dataset: "delhi", pincode: "110027", thresholds: thresholds }];
+}
+
+function record(medical, civil) {
+  return { pincode: "110027", medical_load: medical, civil_load: civil };
+}
+
+// Lets a service worker's `ready` promise settle.
+function settle() {
+  return new Promise((resolve) => setImmediate(resolve));
+}
+
+const cases = [
+  {
+    name: "fires once when medical load crosses its threshold",
+    async run() {
+      assert.deepStrictEqual(await evaluated({ medical_load: 80 }, [update(50, 10), update(85, 10), update(90, 10)]), [[], ["medical_load"], []]);
+    }
+  },
+  {
+    name: "fires again after dropping back below",
+    async run() {
+      assert.deepStrictEqual(await evaluated({ medical_load: 80 }, [update(85, 10), update(70, 10), update(81, 10)]), [["medical_load"], [], ["medical_load"]]);
+    }
+  },
+  {
+    name: "a load equal to the threshold does not fire",
+    async run() {
+      assert.deepStrictEqual(await evaluated({ civil_load: 60 }, [update(10, 60)]), [[]]);
+    }
+  },
+  {
+    name: "checks medical and civil load independently",
+    async run() {
+      assert.deepStrictEqual(await evaluated({ medical_load: 80, civil_load: 50 }, [update(90, 40), update(90, 55), update(20, 55)]), [["medical_load"], ["civil_load"], []]);
+    }
+  },
+  {
+    name: "a load without a threshold never fires",
+    async run() {
+      assert.deepStrictEqual(await evaluated({ medical_load: null }, [update(100, 100)]), [[]]);
+    }
+  },
+  {
+    name: "a pincode not on the watchlist never alerts or stores state",
+    async run() {
+      let items = browser({ watchlist: [] });
+      assert.deepStrictEqual(Alerts.check(record(95, 95)), []);
+      assert.strictEqual(items["covid-19-india:alerts"], undefined);
+      assert.strictEqual(shown.banners.length, 0);
+    }
+  },
+  {
+    name: "alerts above the watchlist threshold and stores which loads are above",
+    async run() {
+      let items = browser({ watchlist: watched({ medical_load: 80, civil_load: 50 }) });
+      let alerts = Alerts.check(record(85, 40));
+      assert.deepStrictEqual(alerts.map((alert) => [alert.key, alert.value, alert.threshold]), [["medical_load", 85, 80]]);
+      assert.deepStrictEqual(JSON.parse(items["covid-19-india:alerts"]), { 110027: { medical_load: true, civil_load: false } });
+    }
+  },
+  {
+    name: "does not alert again while the load stays above",
+    async run() {
+      browser({ watchlist: watched({ medical_load: 80 }) });
+      assert.strictEqual(Alerts.check(record(85, 10)).length, 1);
+      assert.strictEqual(Alerts.check(record(90, 10)).length, 0);
+      assert.strictEqual(shown.banners.length, 1);
+    }
+  },
+  {
+    name: "state stored by an earlier session stops a repeat alert",
+    async run() {
+      browser({ watchlist: watched({ medical_load: 80 }), stored: { 110027: { medical_load: true } } });
+      assert.deepStrictEqual(Alerts.check(record(85, 10)), []);
+    }
+  },
+  {
+    name: "alerts again once the load has dropped back below",
+    async run() {
+      browser({ watchlist: watched({ medical_load: 80 }), stored: { 110027: { medical_load: true } } });
+      Alerts.check(record(60, 10));
+      assert.strictEqual(Alerts.check(record(82, 10)).length, 1);
+    }
+  },
+  {
+    name: "shows an in-app banner without notification permission",
+    async run() {
+      browser({ watchlist: watched({ civil_load: 50 }) });
+      Alerts.check(record(10, 75));
+      assert.strictEqual(shown.banners.length, 1);
+      assert.strictEqual(shown.banners[0].title, "COVID-19 alert");
+      assert.strictEqual(shown.banners[0].text, "Civil load in 110027 is 75%, above your 50% alert");
+      assert.strictEqual(shown.notifications.length, 0);
+    }
+  },
+  {
+    name: "shows a system notification once permission is granted",
+    async run() {
+      browser({ watchlist: watched({ medical_load: 80 }), permission: "granted" });
+      Alerts.check(record(85, 10));
+      assert.deepStrictEqual(shown.notifications.map((notification) => notification.tag), ["110027-medical_load"]);
+      assert.strictEqual(shown.banners.length, 0);
+    }
+  },
+  {
+    name: "notifies through the service worker when one controls the page",
+    async run() {
+      browser({ watchlist: watched({ medical_load: 80 }), permission: "granted", worker: true });
+      Alerts.check(record(85, 10));
+      await settle();
+      assert.deepStrictEqual(shown.workerNotifications.map((notification) => notification.tag), ["110027-medical_load"]);
+      assert.strictEqual(shown.notifications.length + shown.banners.length, 0);
+    }
+  }
+];
+
+runCases(cases);
@@ -0,0 +1,37 @@
+// Checks number formatting in every language of the app. Run with
+// `npm run test:i18n`.
+const assert = require("assert");
+const { runCases } = require("./runner");
+
+const I18N = require.resolve("../src/routes/mobile/lib/i18n");
+
+// A fresh copy of lib/i18n running in a browser set to `code`.
+function inLocale(code) {
+  let storage = { getItem: () => code, setItem: () => {} };
+  Object.defineProperty(global, "window", { value: { localStorage: storage }, configurable: true, writable: true });
+  Object.defineProperty(global, "navigator", { value: { languages: [] }, configurable: true, writable: true });
+  delete require.cache[I18N];
+  return require(I18N);
+}
+
+const values = [
+  { value: 0, expected: "0" },
+  { value: 999, expected: "999" },
+  { value: 1000, expected: "1,000" },
+  { value: 123456, expected: "1,23,456" },
+  { value: 1234567.25, expected: "12,34,567.3" },
+  { value: -98765432, expected: "-9,87,65,432" },
+  { value: 0.04, expected: "0" }
+];
+
+runCases(["en", "hi", "pa", "ur"].map((code) => ({
+  name: `formats numbers with Indian grouping in ${code}`,
+  run() {
+    let I18n = inLocale(code);
+    assert.strictEqual(I18n.locale(), code);
+    values.forEach((entry) => assert.strictEqual(I18n.formatNumber(entry.value), entry.expected));
+    assert.strictEqual(I18n.formatNumber("n/a"), "n/a");
+    assert.strictEqual(I18n.formatCompact(12500000), I18n.t("number.crore", { value: "1.3" }));
+    assert.strictEqual(I18n.formatCompact(250000), I18n.t("number.lakh", { value: "2.5" }));
+  }
+})));
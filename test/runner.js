@@ -0,0 +1,18 @@
+// Runs test cases ({ name, run }) one after another, prints "ok" or
+// "not ok" for each and exits non-zero when any failed. `run` may return a
+// promise.
+async function runCases(cases) {
+  let failed = 0;
+  for (let testCase of cases) {
+    try {
+      await testCase.run();
+      console.log(`ok - ${testCase.name}`);
+    } catch (err) {
+      failed++;
+      console.log(`not ok - ${testCase.name}\n${err.message}`);
+    }
+  }
+  process.exit(failed ? 1 : 0);
+}
+
+exports.runCases = runCases;